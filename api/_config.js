@@ -0,0 +1,27 @@
+// Shared server-side simulation configuration. Files prefixed with an
+// underscore are not deployed as endpoints.
+
+import { now } from '../src/simulation/clock.js';
+import { CABLE_LENGTH } from '../src/constants.js';
+import { isValidCableLength } from '../src/simulation/config.js';
+
+// Handlers read time through the shared simulation clock (never Date.now())
+// so scripted runs can drive them from a fake source
+export { now };
+
+// Same default and limits as the client (src/simulation/config.js)
+export { isValidCableLength };
+
+// Configuration stored alongside the simulation state in KV
+export function getSimulationConfig(state) {
+  return {
+    cableLengthKm: state?.cableLengthKm ?? CABLE_LENGTH,
+  };
+}
+
+export function computeAltitude(state, nowMs = now()) {
+  const { cableLengthKm } = getSimulationConfig(state);
+  const elapsed = (nowMs - state.startTimeMs) / 3_600_000;
+  const alt = state.startAltitudeKm + state.direction * state.speedKmh * elapsed;
+  return Math.max(0, Math.min(cableLengthKm, alt));
+}
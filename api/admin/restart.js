@@ -1,15 +1,20 @@
 import { kv } from '@vercel/kv';
+import { now } from '../_config.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Restarting keeps the configured cable length
+  const state = await kv.get('simulation_state') || {};
+
   await kv.set('simulation_state', {
     startAltitudeKm: 0,
-    startTimeMs: Date.now(),
+    startTimeMs: now(),
     speedKmh: 190,
     direction: 1,
+    cableLengthKm: state.cableLengthKm,
   });
 
   return res.status(200).json({ ok: true });
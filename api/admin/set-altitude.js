@@ -1,22 +1,25 @@
 import { kv } from '@vercel/kv';
+import { getSimulationConfig, now } from '../_config.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const state = await kv.get('simulation_state') || {};
+  const { cableLengthKm } = getSimulationConfig(state);
+
   const { altitudeKm } = req.body;
-  if (typeof altitudeKm !== 'number' || altitudeKm < 0 || altitudeKm > 100000) {
+  if (typeof altitudeKm !== 'number' || altitudeKm < 0 || altitudeKm > cableLengthKm) {
     return res.status(400).json({ error: 'Invalid altitude' });
   }
 
-  const state = await kv.get('simulation_state') || {};
-
   await kv.set('simulation_state', {
     startAltitudeKm: altitudeKm,
-    startTimeMs: Date.now(),
+    startTimeMs: now(),
     speedKmh: state.speedKmh || 190,
     direction: state.direction ?? 1,
+    cableLengthKm: state.cableLengthKm,
   });
 
   return res.status(200).json({ ok: true });
@@ -0,0 +1,30 @@
+import { kv } from '@vercel/kv';
+import { computeAltitude, isValidCableLength, now } from '../_config.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { cableLengthKm } = req.body;
+  if (!isValidCableLength(cableLengthKm)) {
+    return res.status(400).json({ error: 'Invalid cable length' });
+  }
+
+  const state = await kv.get('simulation_state') || {
+    startAltitudeKm: 0, startTimeMs: now(), speedKmh: 190, direction: 1
+  };
+
+  // Re-anchor the segment so a climber above the new top is clamped to it
+  const currentAlt = Math.min(computeAltitude(state), cableLengthKm);
+
+  await kv.set('simulation_state', {
+    startAltitudeKm: currentAlt,
+    startTimeMs: now(),
+    speedKmh: state.speedKmh || 190,
+    direction: state.direction ?? 1,
+    cableLengthKm,
+  });
+
+  return res.status(200).json({ ok: true });
+}
@@ -1,12 +1,5 @@
 import { kv } from '@vercel/kv';
-
-const CABLE_LENGTH = 100000;
-
-function computeAltitude(state) {
-  const elapsed = (Date.now() - state.startTimeMs) / 3_600_000;
-  const alt = state.startAltitudeKm + state.direction * state.speedKmh * elapsed;
-  return Math.max(0, Math.min(CABLE_LENGTH, alt));
-}
+import { computeAltitude, now } from '../_config.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -19,16 +12,17 @@ export default async function handler(req, res) {
   }
 
   const state = await kv.get('simulation_state') || {
-    startAltitudeKm: 0, startTimeMs: Date.now(), speedKmh: 190, direction: 1
+    startAltitudeKm: 0, startTimeMs: now(), speedKmh: 190, direction: 1
   };
 
   const currentAlt = computeAltitude(state);
 
   await kv.set('simulation_state', {
     startAltitudeKm: currentAlt,
-    startTimeMs: Date.now(),
+    startTimeMs: now(),
     speedKmh: state.speedKmh || 190,
     direction,
+    cableLengthKm: state.cableLengthKm,
   });
 
   return res.status(200).json({ ok: true });
@@ -1,23 +1,17 @@
 import { kv } from '@vercel/kv';
+import { getSimulationConfig, computeAltitude, now } from './_config.js';
 
-const CABLE_LENGTH = 100000;
 const EARTH_RADIUS = 6371;
 const SURFACE_GRAVITY = 9.80;
 const EARTH_ROTATION_RATE = 7.2921e-5;
 
 const DEFAULT_STATE = {
   startAltitudeKm: 0,
-  startTimeMs: Date.now(),
+  startTimeMs: now(),
   speedKmh: 300, // keep in sync with DEFAULT_SPEED_KMH in src/constants.js
   direction: 1,
 };
 
-function computeAltitude(state) {
-  const elapsed = (Date.now() - state.startTimeMs) / 3_600_000;
-  const alt = state.startAltitudeKm + state.direction * state.speedKmh * elapsed;
-  return Math.max(0, Math.min(CABLE_LENGTH, alt));
-}
-
 function getEffectiveGravity(altitudeKm) {
   const R = EARTH_RADIUS;
   const r = R + altitudeKm;
@@ -47,5 +41,6 @@ export default async function handler(req, res) {
     effectiveGravityG,
     startAltitudeKm: state.startAltitudeKm,
     startTimeMs: state.startTimeMs,
+    cableLengthKm: getSimulationConfig(state).cableLengthKm,
   });
 }
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Downloads surface tiles for offline use (exhibition installs, flaky venues).
+ *
+ * Fetches NASA GIBS BlueMarble_ShadedRelief Web Mercator tiles: the whole
+ * globe down to zoom 5 (where the surface quadtree starts), then zooms 6–8
+ * within --radius km of every anchor preset. Tiles land in public/tiles as
+ * {z}/{y}/{x}.jpeg, which the app reads with ?tiles=local. Existing tiles are
+ * kept, so re-runs only fill gaps.
+ *
+ * --pack also bundles everything under public/tiles into one file for
+ * ?tiles=pack (a single file is far quicker to copy onto a kiosk than
+ * ~10,000 small ones).
+ *
+ * --terrain fetches the elevation model instead: Terrarium-encoded PNG
+ * heightmaps from the AWS Terrain Tiles open dataset (SRTM, GMTED, ETOPO1 and
+ * others; see https://github.com/tilezen/joerd/blob/master/docs/attribution.md),
+ * the globe to zoom 3 and zooms 4–8 around the anchors, into public/terrain
+ * and always packed to public/terrain.pack, the DEM the app displaces the
+ * surface tiles with.
+ *
+ * Pack layout (little-endian):
+ *
+ *   0   char[4]  magic "TPAK"
+ *   4   uint16   format version (1)
+ *   6   uint8    deepest zoom level
+ *   7   uint8    reserved
+ *   8   uint32   tile count n
+ *   12  n × 24-byte index entries:
+ *         uint8    zoom
+ *         uint8[3] reserved
+ *         uint32   x
+ *         uint32   y
+ *         uint32   byte length
+ *         float64  byte offset from the start of the file
+ *       image data
+ *
+ * Usage: node scripts/download-tiles.mjs [--terrain] [--radius 1000] [--pack] [--force]
+ * Output: public/tiles/, public/tiles.pack; with --terrain public/terrain/,
+ *   public/terrain.pack
+ */
+
+import { writeFileSync, existsSync, mkdirSync, readdirSync, statSync, readFileSync, openSync, writeSync, closeSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { ANCHOR_PRESETS } from '../src/simulation/anchor.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = join(__dirname, '..', 'public');
+const FORCE = process.argv.includes('--force');
+const TERRAIN = process.argv.includes('--terrain');
+const PACK = TERRAIN || process.argv.includes('--pack');
+const radiusArg = process.argv.indexOf('--radius');
+const RADIUS_KM = radiusArg > 0 ? parseFloat(process.argv[radiusArg + 1]) : 1000;
+
+// Directory and pack names must match src/loaders/tileSources.js and ElevationLoader.js
+const LAYERS = {
+  imagery: {
+    url: 'https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/BlueMarble_ShadedRelief/default/0/GoogleMapsCompatible_Level8/{z}/{y}/{x}.jpeg',
+    dir: 'tiles',
+    extension: 'jpeg',
+    globalZoom: 5,
+  },
+  terrain: {
+    url: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png',
+    dir: 'terrain',
+    extension: 'png',
+    globalZoom: 3, // heightmaps are ~5× the size of the imagery; relief only matters up close
+  },
+};
+const LAYER = TERRAIN ? LAYERS.terrain : LAYERS.imagery;
+const TILE_DIR = join(PUBLIC_DIR, LAYER.dir);
+const PACK_FILE = join(PUBLIC_DIR, `${LAYER.dir}.pack`);
+const MAX_ZOOM = 8;
+const MAX_CONCURRENT = 8;
+const KM_PER_DEG = 111.2;
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = 12;
+const ENTRY_BYTES = 24;
+
+function latLonToTile(lat, lon, zoom) {
+  const n = 2 ** zoom;
+  const clamped = Math.max(-85.05, Math.min(85.05, lat)) * Math.PI / 180;
+  return {
+    x: Math.floor(((lon + 180) / 360) * n),
+    y: Math.floor((1 - Math.log(Math.tan(clamped) + 1 / Math.cos(clamped)) / Math.PI) / 2 * n),
+  };
+}
+
+// Every tile wanted: the whole globe to globalZoom, then a box around each anchor
+function collectTiles() {
+  const keys = new Set();
+  for (let z = 0; z <= LAYER.globalZoom; z++) {
+    for (let y = 0; y < 2 ** z; y++) {
+      for (let x = 0; x < 2 ** z; x++) keys.add(`${z}/${y}/${x}`);
+    }
+  }
+  for (const { lat, lon } of Object.values(ANCHOR_PRESETS)) {
+    const dLat = RADIUS_KM / KM_PER_DEG;
+    const dLon = Math.min(dLat / Math.cos(lat * Math.PI / 180), 180);
+    for (let z = LAYER.globalZoom + 1; z <= MAX_ZOOM; z++) {
+      const n = 2 ** z;
+      const nw = latLonToTile(lat + dLat, lon - dLon, z);
+      const se = latLonToTile(lat - dLat, lon + dLon, z);
+      for (let y = Math.max(nw.y, 0); y <= Math.min(se.y, n - 1); y++) {
+        for (let x = nw.x; x <= se.x; x++) keys.add(`${z}/${y}/${((x % n) + n) % n}`);
+      }
+    }
+  }
+  return [...keys];
+}
+
+async function download(keys) {
+  const missing = keys.filter((key) => FORCE || !existsSync(join(TILE_DIR, `${key}.${LAYER.extension}`)));
+  console.log(`  ${keys.length} tiles wanted, ${missing.length} to download`);
+  let completed = 0;
+  let failed = 0;
+  let idx = 0;
+
+  async function worker() {
+    while (idx < missing.length) {
+      const key = missing[idx++];
+      const [z, y, x] = key.split('/');
+      try {
+        const res = await fetch(LAYER.url.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const file = join(TILE_DIR, `${key}.${LAYER.extension}`);
+        mkdirSync(dirname(file), { recursive: true });
+        writeFileSync(file, Buffer.from(await res.arrayBuffer()));
+      } catch (err) {
+        failed++;
+        console.warn(`\n  Tile ${key}: ${err.message}`);
+      }
+      completed++;
+      if (completed % 50 === 0 || completed === missing.length) {
+        process.stdout.write(`\r  Downloaded ${completed}/${missing.length} tiles`);
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < MAX_CONCURRENT; i++) workers.push(worker());
+  await Promise.all(workers);
+  console.log(failed ? `\n  ${failed} tiles failed — re-run to retry` : '');
+}
+
+function writePack() {
+  const tiles = [];
+  for (const z of readdirSync(TILE_DIR)) {
+    for (const y of readdirSync(join(TILE_DIR, z))) {
+      for (const name of readdirSync(join(TILE_DIR, z, y))) {
+        if (!name.endsWith(`.${LAYER.extension}`)) continue;
+        const file = join(TILE_DIR, z, y, name);
+        tiles.push({ z: +z, y: +y, x: parseInt(name, 10), file, length: statSync(file).size });
+      }
+    }
+  }
+  tiles.sort((a, b) => a.z - b.z || a.y - b.y || a.x - b.x);
+
+  const index = Buffer.alloc(HEADER_BYTES + tiles.length * ENTRY_BYTES);
+  index.write('TPAK', 0, 'ascii');
+  index.writeUInt16LE(FORMAT_VERSION, 4);
+  index.writeUInt8(Math.max(...tiles.map((t) => t.z)), 6);
+  index.writeUInt32LE(tiles.length, 8);
+  let offset = index.length;
+  tiles.forEach((t, i) => {
+    const o = HEADER_BYTES + i * ENTRY_BYTES;
+    index.writeUInt8(t.z, o);
+    index.writeUInt32LE(t.x, o + 4);
+    index.writeUInt32LE(t.y, o + 8);
+    index.writeUInt32LE(t.length, o + 12);
+    index.writeDoubleLE(offset, o + 16);
+    offset += t.length;
+  });
+
+  const fd = openSync(PACK_FILE, 'w');
+  writeSync(fd, index);
+  for (const t of tiles) writeSync(fd, readFileSync(t.file));
+  closeSync(fd);
+  console.log(`  Saved ${PACK_FILE} (${tiles.length} tiles, ${(offset / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+async function main() {
+  mkdirSync(TILE_DIR, { recursive: true });
+  console.log(`Downloading ${TERRAIN ? 'terrain' : 'surface'} tiles (globe to zoom ${LAYER.globalZoom}, zoom ${MAX_ZOOM} within ${RADIUS_KM} km of each anchor)...`);
+  await download(collectTiles());
+  if (PACK) writePack();
+  console.log('Done.');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Downloads two-line element sets for the satellites drawn in the simulator.
+ *
+ * Fetches the ISS, Hubble, the operational GPS constellation and the
+ * geosynchronous belt from CelesTrak and writes them to one file, each group
+ * introduced by a "# group: <name>" comment line that the app uses to style
+ * and label them.
+ *
+ * Usage: node scripts/download-tle.mjs
+ * Output: public/data/satellites.tle
+ *
+ * Elements go stale — LEO orbits drift by kilometres per day — so re-run this
+ * before a release.
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const OUTPUT_DIR = join(__dirname, '..', 'public', 'data');
+const OUTPUT_FILE = join(OUTPUT_DIR, 'satellites.tle');
+
+const CELESTRAK = 'https://celestrak.org/NORAD/elements/gp.php';
+
+const GROUPS = [
+  { group: 'iss', query: 'CATNR=25544' },
+  { group: 'hubble', query: 'CATNR=20580' },
+  { group: 'gps', query: 'GROUP=gps-ops' },
+  { group: 'geo', query: 'GROUP=geo' },
+];
+
+async function fetchGroup({ group, query }) {
+  const res = await fetch(`${CELESTRAK}?${query}&FORMAT=tle`);
+  if (!res.ok) throw new Error(`${group}: HTTP ${res.status}`);
+  const lines = (await res.text()).split(/\r?\n/).map((l) => l.trimEnd()).filter(Boolean);
+  if (lines.length % 3 !== 0) throw new Error(`${group}: expected 3-line element sets, got ${lines.length} lines`);
+  console.log(`  ${group}: ${lines.length / 3} satellites`);
+  return [`# group: ${group}`, ...lines];
+}
+
+async function main() {
+  mkdirSync(OUTPUT_DIR, { recursive: true });
+  console.log('Downloading element sets from CelesTrak...');
+
+  const out = [`# CelesTrak element sets, downloaded ${new Date().toISOString()}`];
+  for (const g of GROUPS) out.push(...(await fetchGroup(g)));
+
+  writeFileSync(OUTPUT_FILE, out.join('\n') + '\n');
+  console.log(`  Saved ${OUTPUT_FILE}`);
+  console.log('Done.');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
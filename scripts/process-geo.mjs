@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Builds the geographic overlay data for the space elevator simulator.
+ *
+ * Coastlines and country borders come from Natural Earth 1:50m (public
+ * domain) via the world-atlas TopoJSON: arcs shared by two countries are
+ * borders, arcs used by one are coastline. Places are the hand-picked cities
+ * and landmarks below, around the anchor presets plus a few world capitals.
+ * Everything goes to one GeoJSON FeatureCollection:
+ *
+ *   { kind: 'coastline' }  MultiLineString
+ *   { kind: 'border' }     MultiLineString
+ *   { kind: 'city' | 'feature', name, rank }  Point — rank 1 labels show from
+ *     any altitude, rank 2 only closer in
+ *
+ * Coordinates are [lon, lat] in degrees, rounded to 0.01° (~1 km), with
+ * points closer than that to the previous one dropped.
+ *
+ * Usage: node scripts/process-geo.mjs [--source countries-50m.json]
+ * Output: public/data/geography.geojson
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const OUTPUT_DIR = join(__dirname, '..', 'public', 'data');
+const OUTPUT_FILE = join(OUTPUT_DIR, 'geography.geojson');
+
+const WORLD_ATLAS_URL = 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-50m.json';
+const sourceArg = process.argv.indexOf('--source');
+const SOURCE_FILE = sourceArg > 0 ? process.argv[sourceArg + 1] : null;
+const PRECISION = 100; // 0.01°
+
+// [name, lat, lon, kind, rank]
+const PLACES = [
+  // Ecuador (default anchor) and the Pacific coast
+  ['Quito', -0.18, -78.47, 'city', 1],
+  ['Guayaquil', -2.19, -79.89, 'city', 1],
+  ['Galápagos Islands', -0.75, -90.5, 'feature', 1],
+  ['Lima', -12.05, -77.04, 'city', 1],
+  ['Bogotá', 4.71, -74.07, 'city', 1],
+  ['Panama City', 8.98, -79.52, 'city', 1],
+  ['Manta', -0.95, -80.72, 'city', 2],
+  ['Cuenca', -2.9, -79.0, 'city', 2],
+  ['Cali', 3.45, -76.53, 'city', 2],
+  ['Medellín', 6.24, -75.58, 'city', 2],
+  ['Chimborazo', -1.47, -78.82, 'feature', 2],
+  ['Cotopaxi', -0.68, -78.44, 'feature', 2],
+  ['Lake Titicaca', -15.8, -69.4, 'feature', 2],
+  // Central Pacific
+  ['Kiritimati', 1.87, -157.4, 'feature', 2],
+  ['Honolulu', 21.31, -157.86, 'city', 1],
+  // Gulf of Guinea
+  ['Accra', 5.6, -0.19, 'city', 1],
+  ['Lagos', 6.52, 3.38, 'city', 1],
+  ['Abidjan', 5.36, -4.01, 'city', 2],
+  ['São Tomé', 0.34, 6.73, 'city', 2],
+  ['Libreville', 0.42, 9.47, 'city', 2],
+  // Indian Ocean
+  ['Malé', 4.18, 73.51, 'city', 1],
+  ['Colombo', 6.93, 79.86, 'city', 1],
+  ['Addu Atoll', -0.63, 73.16, 'feature', 2],
+  ['Chagos Archipelago', -7.3, 72.4, 'feature', 2],
+  // Borneo and the Malay archipelago
+  ['Pontianak', -0.03, 109.34, 'city', 2],
+  ['Kuching', 1.55, 110.36, 'city', 2],
+  ['Singapore', 1.35, 103.82, 'city', 1],
+  ['Jakarta', -6.2, 106.85, 'city', 1],
+  ['Kuala Lumpur', 3.14, 101.69, 'city', 1],
+  // Launch sites and the off-equator presets
+  ['Cape Canaveral', 28.39, -80.6, 'feature', 2],
+  ['Miami', 25.76, -80.19, 'city', 1],
+  ['Havana', 23.11, -82.37, 'city', 1],
+  ['Baikonur', 45.62, 63.31, 'feature', 2],
+  ['Tashkent', 41.3, 69.24, 'city', 1],
+  ['Aral Sea', 45.0, 60.0, 'feature', 2],
+  ['London', 51.51, -0.13, 'city', 1],
+  ['Paris', 48.86, 2.35, 'city', 1],
+  ['Dublin', 53.35, -6.26, 'city', 2],
+  ['Amsterdam', 52.37, 4.9, 'city', 2],
+  // World
+  ['New York', 40.71, -74.01, 'city', 1],
+  ['Los Angeles', 34.05, -118.24, 'city', 1],
+  ['Mexico City', 19.43, -99.13, 'city', 1],
+  ['São Paulo', -23.55, -46.63, 'city', 1],
+  ['Buenos Aires', -34.6, -58.38, 'city', 1],
+  ['Cairo', 30.04, 31.24, 'city', 1],
+  ['Nairobi', -1.29, 36.82, 'city', 1],
+  ['Cape Town', -33.92, 18.42, 'city', 1],
+  ['Moscow', 55.76, 37.62, 'city', 1],
+  ['Mumbai', 19.08, 72.88, 'city', 1],
+  ['Beijing', 39.9, 116.41, 'city', 1],
+  ['Tokyo', 35.68, 139.69, 'city', 1],
+  ['Sydney', -33.87, 151.21, 'city', 1],
+  ['Amazon Basin', -3.4, -62.0, 'feature', 1],
+  ['Sahara', 23.0, 13.0, 'feature', 1],
+  ['Himalaya', 28.6, 83.9, 'feature', 1],
+];
+
+const round = (v) => Math.round(v * PRECISION) / PRECISION;
+
+// Quantized, delta-encoded TopoJSON arcs → [lon, lat] polylines
+function decodeArcs(topology) {
+  const { scale, translate } = topology.transform;
+  return topology.arcs.map((arc) => {
+    let x = 0;
+    let y = 0;
+    const line = [];
+    for (const [dx, dy] of arc) {
+      x += dx;
+      y += dy;
+      const point = [round(x * scale[0] + translate[0]), round(y * scale[1] + translate[1])];
+      const prev = line[line.length - 1];
+      if (!prev || prev[0] !== point[0] || prev[1] !== point[1]) line.push(point);
+    }
+    return line;
+  });
+}
+
+// Number of distinct countries using each arc
+function countArcUse(topology) {
+  const uses = new Array(topology.arcs.length).fill(0);
+  for (const geometry of topology.objects.countries.geometries) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs || [];
+    const seen = new Set();
+    for (const polygon of polygons) {
+      for (const ring of polygon) {
+        for (const index of ring) seen.add(index < 0 ? ~index : index);
+      }
+    }
+    for (const index of seen) uses[index]++;
+  }
+  return uses;
+}
+
+async function loadTopology() {
+  if (SOURCE_FILE) return JSON.parse(readFileSync(SOURCE_FILE, 'utf8'));
+  const res = await fetch(WORLD_ATLAS_URL);
+  if (!res.ok) throw new Error(`world-atlas: HTTP ${res.status}`);
+  return res.json();
+}
+
+async function main() {
+  mkdirSync(OUTPUT_DIR, { recursive: true });
+  console.log('Building geographic overlay from Natural Earth 1:50m...');
+
+  const topology = await loadTopology();
+  const arcs = decodeArcs(topology);
+  const uses = countArcUse(topology);
+  const coastlines = arcs.filter((line, i) => uses[i] === 1 && line.length > 1);
+  const borders = arcs.filter((line, i) => uses[i] > 1 && line.length > 1);
+  console.log(`  ${coastlines.length} coastline and ${borders.length} border arcs`);
+
+  const collection = {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { kind: 'coastline' }, geometry: { type: 'MultiLineString', coordinates: coastlines } },
+      { type: 'Feature', properties: { kind: 'border' }, geometry: { type: 'MultiLineString', coordinates: borders } },
+      ...PLACES.map(([name, lat, lon, kind, rank]) => ({
+        type: 'Feature',
+        properties: { kind, name, rank },
+        geometry: { type: 'Point', coordinates: [lon, lat] },
+      })),
+    ],
+  };
+
+  const json = JSON.stringify(collection);
+  writeFileSync(OUTPUT_FILE, json);
+  console.log(`  Saved ${OUTPUT_FILE} (${(json.length / 1024).toFixed(0)} KB, ${PLACES.length} places)`);
+  console.log('Done.');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,10 +1,30 @@
 #!/usr/bin/env node
 /**
- * Downloads the HYG v4.1 star catalog and processes it into a compact JSON file
+ * Downloads the HYG v4.1 star catalog and packs it into binary magnitude tiers
  * for the space elevator simulator's starfield.
  *
- * Usage: node scripts/process-stars.mjs
- * Output: public/data/stars.json
+ * Each tier holds the stars between the previous limit and its own, so the
+ * app loads the naked-eye tier up front and streams deeper ones on demand.
+ * Tier layout (little-endian):
+ *
+ *   0   char[4]  magic "STAR"
+ *   4   uint16   format version (1)
+ *   6   uint16   reserved
+ *   8   uint32   star count n
+ *   12  float32  tier magnitude limit
+ *   16  float32  brightest magnitude in the catalog (sets the point size scale)
+ *   20  float32  positions, n × (x, y, z) km on the starfield sphere
+ *       int16    magnitudes × 100, n
+ *       uint8    colors, n × (r, g, b) from B-V, hue only
+ *
+ * The sky inspector's metadata for the first tier (proper name,
+ * Bayer/Flamsteed designation, constellation, spectral class, distance) and
+ * the constellation stick figures from d3-celestial (BSD, Olaf Frohn), with
+ * each line vertex snapped to the index of its catalog star, go to a JSON
+ * sidecar.
+ *
+ * Usage: node scripts/process-stars.mjs [--tiers 6.5,8,10]
+ * Output: public/data/stars-<limit>.bin per tier, public/data/stars-meta.json
  */
 
 import { writeFileSync, mkdirSync } from 'fs';
@@ -13,12 +33,25 @@ import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const OUTPUT_DIR = join(__dirname, '..', 'public', 'data');
-const OUTPUT_FILE = join(OUTPUT_DIR, 'stars.json');
+const META_FILE = join(OUTPUT_DIR, 'stars-meta.json');
 
 const CATALOG_URL = 'https://raw.githubusercontent.com/astronexus/HYG-Database/main/hyg/CURRENT/hygdata_v41.csv';
-const MAG_LIMIT = 6.5;
+const CONSTELLATION_LINES_URL = 'https://raw.githubusercontent.com/ofrohn/d3-celestial/master/data/constellations.lines.json';
+const CONSTELLATION_NAMES_URL = 'https://raw.githubusercontent.com/ofrohn/d3-celestial/master/data/constellations.json';
+const DEFAULT_TIERS = [6.5, 8, 10];
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = 20;
 const RADIUS = 150000; // must match Stars.js starfield sphere radius
 const DEFAULT_BV = 0.65; // solar-type fallback when B-V is missing
+const PC_TO_LY = 3.26156;
+const UNKNOWN_DIST_PC = 100000; // HYG's placeholder for "no parallax"
+const LINE_SNAP_DEG = 0.3; // stick-figure vertex → catalog star match radius
+
+const GREEK = {
+  Alp: 'α', Bet: 'β', Gam: 'γ', Del: 'δ', Eps: 'ε', Zet: 'ζ', Eta: 'η', The: 'θ',
+  Iot: 'ι', Kap: 'κ', Lam: 'λ', Mu: 'μ', Nu: 'ν', Xi: 'ξ', Omi: 'ο', Pi: 'π',
+  Rho: 'ρ', Sig: 'σ', Tau: 'τ', Ups: 'υ', Phi: 'φ', Chi: 'χ', Psi: 'ψ', Ome: 'ω',
+};
 
 // Convert B-V color index to RGB using piecewise blackbody approximation
 function bvToRGB(bv) {
@@ -59,6 +92,86 @@ function bvToRGB(bv) {
   return [Math.max(0, Math.min(1, r)), Math.max(0, Math.min(1, g)), Math.max(0, Math.min(1, b))];
 }
 
+function parseTiers() {
+  const i = process.argv.indexOf('--tiers');
+  if (i < 0) return DEFAULT_TIERS;
+  const tiers = process.argv[i + 1].split(',').map(Number);
+  if (tiers.some(isNaN)) throw new Error(`Bad --tiers list: ${process.argv[i + 1]}`);
+  return tiers.sort((a, b) => a - b);
+}
+
+// Pack one tier; see the layout at the top of this file
+function packTier(stars, magLimit, brightest) {
+  const n = stars.length;
+  const buf = Buffer.alloc(HEADER_BYTES + n * 12 + n * 2 + n * 3);
+  buf.write('STAR', 0, 'ascii');
+  buf.writeUInt16LE(FORMAT_VERSION, 4);
+  buf.writeUInt32LE(n, 8);
+  buf.writeFloatLE(magLimit, 12);
+  buf.writeFloatLE(brightest, 16);
+  const magOffset = HEADER_BYTES + n * 12;
+  const colorOffset = magOffset + n * 2;
+  stars.forEach((s, i) => {
+    buf.writeFloatLE(s.x, HEADER_BYTES + i * 12);
+    buf.writeFloatLE(s.y, HEADER_BYTES + i * 12 + 4);
+    buf.writeFloatLE(s.z, HEADER_BYTES + i * 12 + 8);
+    buf.writeInt16LE(Math.round(s.mag * 100), magOffset + i * 2);
+    buf.writeUInt8(Math.round(s.r * 255), colorOffset + i * 3);
+    buf.writeUInt8(Math.round(s.g * 255), colorOffset + i * 3 + 1);
+    buf.writeUInt8(Math.round(s.b * 255), colorOffset + i * 3 + 2);
+  });
+  return buf;
+}
+
+const unquote = (v) => (v || '').trim().replace(/^"|"$/g, '');
+
+// "Alp" + "Ori" → "α Ori"; "58" + "Ori" → "58 Ori"; Bayer wins over Flamsteed
+function designation(bayer, flam, con) {
+  if (!con) return '';
+  if (bayer) {
+    const [letter, index] = bayer.split('-');
+    return `${GREEK[letter] || letter}${index ? index : ''} ${con}`;
+  }
+  return flam ? `${flam} ${con}` : '';
+}
+
+// Snap each stick-figure vertex ([RA°, Dec°], RA in -180..180) to the nearest
+// catalog star; polylines are split wherever a vertex has no match.
+function snapConstellationLines(linesGeo, namesGeo, catalog) {
+  const names = Object.fromEntries(namesGeo.features.map((f) => [f.id, f.properties.name]));
+  const cosSnap = Math.cos(LINE_SNAP_DEG * Math.PI / 180);
+  const nearest = ([lonDeg, latDeg]) => {
+    const ra = lonDeg * Math.PI / 180;
+    const dec = latDeg * Math.PI / 180;
+    const v = [Math.cos(dec) * Math.cos(ra), Math.sin(dec), -Math.cos(dec) * Math.sin(ra)];
+    let best = -1;
+    let bestDot = cosSnap;
+    catalog.forEach((s, i) => {
+      const d = (v[0] * s.x + v[1] * s.y + v[2] * s.z) / RADIUS;
+      if (d > bestDot) { bestDot = d; best = i; }
+    });
+    return best;
+  };
+
+  return linesGeo.features.map((f) => {
+    const lines = [];
+    for (const polyline of f.geometry.coordinates) {
+      let run = [];
+      for (const vertex of polyline) {
+        const i = nearest(vertex);
+        if (i < 0) {
+          if (run.length > 1) lines.push(run);
+          run = [];
+        } else {
+          run.push(i);
+        }
+      }
+      if (run.length > 1) lines.push(run);
+    }
+    return { code: f.id, name: names[f.id] || f.id, lines };
+  });
+}
+
 async function main() {
   console.log('Downloading HYG v4.1 catalog...');
   const response = await fetch(CATALOG_URL);
@@ -79,6 +192,12 @@ async function main() {
   const decCol = colIndex['dec'];
   const magCol = colIndex['mag'];
   const ciCol = colIndex['ci']; // B-V color index
+  const properCol = colIndex['proper'];
+  const bayerCol = colIndex['bayer'];
+  const flamCol = colIndex['flam'];
+  const conCol = colIndex['con'];
+  const spectCol = colIndex['spect'];
+  const distCol = colIndex['dist']; // parsecs
 
   if (raCol === undefined || decCol === undefined || magCol === undefined) {
     throw new Error(`Missing required columns. Found: ${header.join(', ')}`);
@@ -86,8 +205,12 @@ async function main() {
 
   console.log(`Columns: ra=${raCol}, dec=${decCol}, mag=${magCol}, ci=${ciCol}`);
 
+  const tiers = parseTiers();
+  const magLimit = tiers[tiers.length - 1];
+
   // Process stars
   const stars = [];
+  const info = [];
   let skipped = 0;
   let brightest = Infinity;
 
@@ -97,7 +220,7 @@ async function main() {
     if (!line) continue;
     const cols = line.split(',');
     const mag = parseFloat(cols[magCol]);
-    if (isNaN(mag) || mag > MAG_LIMIT) continue;
+    if (isNaN(mag) || mag > magLimit) continue;
     // Skip the Sun (mag ~ -26.7) — we render it separately
     if (mag < -2) continue;
     if (mag < brightest) brightest = mag;
@@ -116,7 +239,7 @@ async function main() {
     const mag = parseFloat(cols[magCol]);
 
     if (isNaN(ra) || isNaN(dec) || isNaN(mag)) { skipped++; continue; }
-    if (mag > MAG_LIMIT || mag < -2) continue;
+    if (mag > magLimit || mag < -2) continue;
 
     // Convert RA (hours) to radians, Dec (degrees) to radians
     const raRad = ra * (Math.PI / 12);
@@ -128,36 +251,60 @@ async function main() {
     const y = RADIUS * Math.sin(decRad);
     const z = -RADIUS * cosD * Math.sin(raRad);
 
-    // Point size: magnitude-linear with capped range for smoother distribution
-    // pow(0.7) compresses the bright end so the biggest stars don't dominate
-    const magRange = MAG_LIMIT - brightest;
-    const t = (MAG_LIMIT - mag) / magRange;
-    const size = 1.0 + 2.5 * Math.pow(t, 0.7);
-
     // Color from B-V index (spectral type only, no brightness scaling)
     const bv = ciCol !== undefined && cols[ciCol] !== '' ? parseFloat(cols[ciCol]) : NaN;
     const bvVal = isNaN(bv) ? DEFAULT_BV : bv;
     const [r, g, b] = bvToRGB(bvVal);
 
-    // Round to reduce JSON size
-    stars.push([
-      Math.round(x * 10) / 10,
-      Math.round(y * 10) / 10,
-      Math.round(z * 10) / 10,
-      Math.round(size * 100) / 100,
-      Math.round(r * 1000) / 1000,
-      Math.round(g * 1000) / 1000,
-      Math.round(b * 1000) / 1000,
+    // Point sizes are derived from magnitude in Stars.js
+    stars.push({ x, y, z, mag, r, g, b });
+
+    // Inspector metadata: [proper name, designation, constellation, spectral class, distance (ly)]
+    const con = unquote(cols[conCol]);
+    const distPc = parseFloat(cols[distCol]);
+    info.push([
+      unquote(cols[properCol]),
+      designation(unquote(cols[bayerCol]), unquote(cols[flamCol]), con),
+      con,
+      unquote(cols[spectCol]),
+      distPc > 0 && distPc < UNKNOWN_DIST_PC ? Math.round(distPc * PC_TO_LY * 10) / 10 : null,
     ]);
   }
 
   console.log(`Processed ${stars.length} stars (skipped ${skipped} invalid rows)`);
 
+  // Split into tiers, keeping catalog order (and the metadata rows) for the first
+  const tierStars = tiers.map(() => []);
+  const firstInfo = [];
+  stars.forEach((s, i) => {
+    const t = tiers.findIndex((limit) => s.mag <= limit);
+    tierStars[t].push(s);
+    if (t === 0) firstInfo.push(info[i]);
+  });
+
+  console.log('Downloading constellation lines...');
+  const [linesGeo, namesGeo] = await Promise.all(
+    [CONSTELLATION_LINES_URL, CONSTELLATION_NAMES_URL].map(async (url) => {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`Failed to download ${url}: ${res.status} ${res.statusText}`);
+      return res.json();
+    }),
+  );
+  const constellations = snapConstellationLines(linesGeo, namesGeo, tierStars[0]);
+  console.log(`Snapped ${constellations.length} constellation figures`);
+
   // Write output
   mkdirSync(OUTPUT_DIR, { recursive: true });
-  const output = JSON.stringify({ count: stars.length, stars });
-  writeFileSync(OUTPUT_FILE, output);
-  console.log(`Wrote ${OUTPUT_FILE} (${(output.length / 1024).toFixed(0)} KB)`);
+  tiers.forEach((limit, t) => {
+    const file = join(OUTPUT_DIR, `stars-${limit}.bin`);
+    const buf = packTier(tierStars[t], limit, brightest);
+    writeFileSync(file, buf);
+    console.log(`Wrote ${file}: ${tierStars[t].length} stars (${(buf.length / 1024).toFixed(0)} KB)`);
+  });
+
+  const meta = JSON.stringify({ tiers, info: firstInfo, constellations });
+  writeFileSync(META_FILE, meta);
+  console.log(`Wrote ${META_FILE} (${(meta.length / 1024).toFixed(0)} KB)`);
 }
 
 main().catch(err => {
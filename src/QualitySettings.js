@@ -1,8 +1,14 @@
 const isMobile = /Android|iPhone|iPad|iPod/i.test(navigator.userAgent) ||
   (navigator.maxTouchPoints > 0 && window.innerWidth < 1024);
 
+// Desktop-only "high" level, e.g. ?quality=high; streams the deep star tiers
+const level = !isMobile && new URLSearchParams(window.location.search).get('quality') === 'high'
+  ? 'high'
+  : 'standard';
+
 export const quality = {
   isMobile,
+  level,
   daymapPath: isMobile ? '/textures/4k_earth_daymap.jpg' : '/textures/8k_earth_daymap.jpg',
   sphereSegments: isMobile ? 64 : 128,
   antialias: !isMobile,
@@ -10,4 +16,7 @@ export const quality = {
   loadRegionalTiles: !isMobile,
   usePhysicalGlass: !isMobile,
   anisotropy: isMobile ? 4 : 16,
+  oceanGlint: !isMobile, // specular sun glint on water (the water mask itself is always used)
+  scatteringSteps: isMobile ? 12 : 24, // ray-march samples per sky pixel
+  deepStars: level === 'high',
 };
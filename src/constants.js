@@ -1,12 +1,22 @@
 // All units in km unless noted
 export const EARTH_RADIUS = 6371;
-export const CABLE_LENGTH = 100000;
+export const CABLE_LENGTH = 100000; // default — the live value is in simulation/config.js
 export const GEO_ALTITUDE = 35786;
 export const DEFAULT_SPEED_KMH = 300;
+export const CLIMBER_MAX_ACCEL = 1.0; // m/s² (~0.1 g, comfortable for seated riders)
+export const CLIMBER_MAX_JERK = 0.5; // m/s³
+export const CLIMBER_MASS_KG = 20000; // loaded climber
+export const CLIMBER_POWER_KW = 16000; // beamed power budget (~300 km/h at the surface)
+export const CLIMBER_MAX_SPEED_KMH = 3600; // 1 km/s cap in low gravity
+export const CLIMBER_FLEET_SIZE = 4; // climbers sharing the cable, including the rider's
+export const CLIMBER_VISUAL_RANGE_KM = 200; // other climbers render within this distance
+export const CLIMBER_TRACK_SPACING = 0.015; // 15m between parallel climber tracks on the ribbon
+export const REALTIME_SPEED_PROFILE = 'constant'; // key into SPEED_PROFILES (speedProfiles.js)
 export const EARTH_ROTATION_RATE = 7.2921e-5; // rad/s
 export const SURFACE_GRAVITY = 9.814; // m/s² (tuned so g=0 crossing matches GEO_ALTITUDE exactly)
 
-// Anchor point: 0°N, 80°15'W (~10 miles off Ecuador coast)
+// Default anchor point: 0°N, 80°15'W (~10 miles off Ecuador coast)
+// (the active anchor is chosen at runtime — see simulation/anchor.js)
 export const ANCHOR_LAT = 0;
 export const ANCHOR_LON = -80.25;
 
@@ -27,14 +37,10 @@ export const SKY_FADE_END = 100;
 export const ATMO_VISIBLE_ALT = 50;
 export const ATMO_THICKNESS = 120; // visual thickness in km
 
-// Ground plane fade
-export const GROUND_PLANE_FADE_START = 50;
-export const GROUND_PLANE_FADE_END = 300;
-
 // Milestones — displayMs is wall-clock time to show the notification
 const DEFAULT_MILESTONE_DISPLAY_MS = 4000;
 export const MILESTONES = [
-  { altitude: 0, label: "West of Ecuador", sublabel: "Sea Level" },
+  { altitude: 0, label: null, sublabel: "Sea Level" }, // label comes from the anchor site
   { altitude: 8.85, label: "Summit of Mount Everest", sublabel: "8.85 km" },
   { altitude: 10, label: "Commercial Aircraft Altitude", sublabel: "10 km" },
   { altitude: 100, label: "Karman Line: Edge of Space", sublabel: "100 km" },
@@ -71,20 +77,25 @@ export const MILESTONES = [
     label: "1/5 of the Way to the Moon",
     sublabel: "75,600 km",
   },
-  { altitude: 100000, label: "Counterweight Station", sublabel: "100,000 km" },
+  // Moves with the configured cable length (see getMilestones in simulation/config.js)
+  {
+    altitude: CABLE_LENGTH,
+    label: "Counterweight Station",
+    sublabel: "100,000 km",
+    counterweight: true,
+  },
 ].map((m) => ({ displayMs: DEFAULT_MILESTONE_DISPLAY_MS, ...m }));
 
 // Sun / day-night cycle
-export const SIDEREAL_DAY_S = 86164.1; // 23h 56m 4.1s
-export const SUN_ANGULAR_VELOCITY = (2 * Math.PI) / SIDEREAL_DAY_S;
+// (sun position and Earth rotation come from simulation/ephemeris.js)
 export const SUN_DISTANCE = 149000; // just inside starfield sphere (150k)
 export const SUN_VISUAL_RADIUS = 2000; // angular size ~0.77°
+export const MOON_RADIUS = 1737.4;
+export const MOON_DISPLAY_DISTANCE = 148000; // drawn just in front of the sun, scaled to its true angular size
 
 // Real-time mode cycle timing
+// (one-way travel and full cycle durations are derived from the motion profile in state.js)
 export const WAIT_DURATION_MS = 10 * 60 * 1000; // 10 minutes at each end
-export const TRAVEL_DURATION_MS =
-  (CABLE_LENGTH / DEFAULT_SPEED_KMH) * 3_600_000; // one-way travel
-export const CYCLE_DURATION_MS = 2 * (TRAVEL_DURATION_MS + WAIT_DURATION_MS); // full round trip
 export const CYCLE_EPOCH_MS = Date.UTC(2026, 0, 1); // Jan 1 2025 00:00 UTC
 
 // Gravity / first-person physics
@@ -118,7 +129,3 @@ export const CINEMA_MODES = [
     ],
   },
 ];
-
-// Convert anchor lat/lon to radians
-export const ANCHOR_LAT_RAD = (ANCHOR_LAT * Math.PI) / 180;
-export const ANCHOR_LON_RAD = (ANCHOR_LON * Math.PI) / 180;
@@ -5,7 +5,7 @@ import {
   SAFETY_NET_DELAY, SAFETY_NET_FORCE,
   MAG_BOOTS_FORCE
 } from '../constants.js';
-import { getEffectiveGravity } from '../simulation/physics.js';
+import { getEffectiveAcceleration } from '../simulation/physics.js';
 
 const UP = new THREE.Vector3(0, 1, 0);
 const RIGHT = new THREE.Vector3(1, 0, 0);
@@ -52,11 +52,17 @@ export class FirstPersonController {
     // Cabin bounds (set from cabin)
     this.bounds = null;
 
+    // World-space horizontal unit vectors for the local east/north directions
+    // (set from main.js); lateral forces push along these while airborne
+    this.eastDir = new THREE.Vector3(1, 0, 0);
+    this.northDir = new THREE.Vector3(0, 0, -1);
+
     // Walk speed in km/s (about 1.5 m/s walking speed)
     this.walkSpeed = 0.0015; // 1.5 m/s = 0.0015 km/s
 
     // Current effective gravity (exposed for HUD)
     this.currentGEff = 9.8;
+    this.currentLateral = new THREE.Vector3();
 
     // Reusable quaternions
     this._qYaw = new THREE.Quaternion();
@@ -130,13 +136,23 @@ export class FirstPersonController {
     this.bounds = bounds;
   }
 
-  update(deltaTime, altitudeKm) {
+  setHorizonFrame(eastDir, northDir) {
+    this.eastDir.copy(eastDir).setY(0).normalize();
+    this.northDir.copy(northDir).setY(0).normalize();
+  }
+
+  update(deltaTime, altitudeKm, climbRateKmh = 0, climbAccelMs2 = 0) {
     if (!this.controls.isLocked) return;
 
-    // Effective gravity at current altitude (m/s²)
-    // Positive = toward Earth (floor), Negative = away from Earth (ceiling)
-    const gEff = getEffectiveGravity(altitudeKm);
+    // Effective acceleration at current altitude and climb state (m/s²)
+    // radial: positive = toward Earth (floor), negative = away from Earth (ceiling)
+    const accel = getEffectiveAcceleration(altitudeKm, climbRateKmh, climbAccelMs2);
+    const gEff = accel.radial;
     this.currentGEff = gEff;
+    // Lateral (Coriolis / off-equator centrifugal) in world space, km/s²
+    this.currentLateral.set(0, 0, 0)
+      .addScaledVector(this.eastDir, accel.east / 1000)
+      .addScaledVector(this.northDir, accel.north / 1000);
     // Convert to km/s² for our coordinate system (1 m = 0.001 km)
     const gKm = gEff / 1000; // m/s² to km/s²
 
@@ -188,7 +204,11 @@ export class FirstPersonController {
         this.airVelocity.set(0, 0, 0);
       }
     }
-    // else: airVelocity persists from last surface frame
+    // else: airVelocity persists from last surface frame, and lateral forces
+    // make jumps and floating bodies drift sideways
+    if (!this.onFloor && !this.onCeiling) {
+      this.airVelocity.addScaledVector(this.currentLateral, deltaTime);
+    }
 
     // Apply horizontal velocity with hex collision
     let newX = this.camera.position.x + this.airVelocity.x * deltaTime;
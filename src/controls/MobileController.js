@@ -93,6 +93,7 @@ export class MobileController {
   // Interface compatibility with desktop controller.
   lock() {}
   setBounds() {}
+  setHorizonFrame() {}
 
   get isLocked() { return true; }
 
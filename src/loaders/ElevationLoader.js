@@ -0,0 +1,76 @@
+import { packSource } from './tileSources.js';
+
+// Optional Terrarium-encoded heightmaps (Mapzen/AWS Terrain Tiles) packed by
+// scripts/download-tiles.mjs --terrain; without the pack the ground stays flat
+const DEM_PACK = '/terrain.pack';
+const MAX_CACHED = 64; // decoded 256² tiles, 256 KB each
+
+let source = null; // opened with the first request, i.e. only once surface tiles are on
+const cache = new Map(); // tile key → Promise<heightmap|null>, oldest first
+
+/**
+ * Decode a Terrarium PNG: height (m) = R × 256 + G + B / 256 − 32768.
+ * Bathymetry is dropped — the sea surface is the ground.
+ */
+async function decode(blob) {
+  const bitmap = await createImageBitmap(blob, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+  const { width, height } = bitmap;
+  const ctx = new OffscreenCanvas(width, height).getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const heights = new Float32Array(width * height);
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = Math.max(data[i * 4] * 256 + data[i * 4 + 1] + data[i * 4 + 2] / 256 - 32768, 0);
+  }
+  return { heights, size: width };
+}
+
+function load(zoom, x, y) {
+  const key = `${zoom}/${x}/${y}`;
+  if (!cache.has(key)) {
+    if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+    cache.set(key, source.getTile(zoom, x, y)
+      .then((blob) => (blob ? decode(blob) : null))
+      .then((map) => (map ? { zoom, x, y, ...map } : null))
+      .catch(() => null));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Heightmap covering a Web Mercator imagery tile: the DEM tile at the same
+ * address, or the nearest ancestor the pack holds (it is only deep around
+ * the anchor presets).
+ * @returns {Promise<{zoom: number, x: number, y: number, size: number,
+ *   heights: Float32Array}|null>} heights in metres, row 0 at the north edge
+ */
+export async function fetchElevation(zoom, x, y) {
+  if (!source) source = packSource(DEM_PACK, { type: 'image/png' });
+  await source.ready;
+  const demZoom = Math.min(zoom, source.maxZoom);
+  const shift = zoom - demZoom;
+  const map = await load(demZoom, x >> shift, y >> shift);
+  if (map || demZoom === 0) return map;
+  return fetchElevation(demZoom - 1, x >> (shift + 1), y >> (shift + 1));
+}
+
+/**
+ * Bilinear height (metres) at fractional tile coordinates (tx, ty) of the
+ * given zoom, which must fall inside the heightmap's tile.
+ */
+export function sampleElevation(map, zoom, tx, ty) {
+  const scale = 2 ** (map.zoom - zoom);
+  const last = map.size - 1;
+  const px = Math.min(Math.max((tx * scale - map.x) * map.size - 0.5, 0), last);
+  const py = Math.min(Math.max((ty * scale - map.y) * map.size - 0.5, 0), last);
+  const x0 = Math.min(Math.floor(px), last - 1);
+  const y0 = Math.min(Math.floor(py), last - 1);
+  const fx = px - x0;
+  const fy = py - y0;
+  const h = map.heights;
+  const i = y0 * map.size + x0;
+  const top = h[i] + (h[i + 1] - h[i]) * fx;
+  const bottom = h[i + map.size] + (h[i + map.size + 1] - h[i + map.size]) * fx;
+  return top + (bottom - top) * fy;
+}
@@ -0,0 +1,223 @@
+// Tile sources for the surface quadtree. A source is
+//   { name, maxZoom, getTile(zoom, x, y) → Promise<Blob|null> }
+// and resolves null for any tile it can't supply, so sources chain: a local
+// directory or pack first, the network behind it, an IndexedDB cache in front
+// of the network. Tile indices arrive wrapped and in range (TileLoader.js).
+
+// ShadedRelief is cloud-free with flat blue oceans (no bathymetry)
+export const GIBS_TEMPLATE = 'https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/BlueMarble_ShadedRelief/default/0/GoogleMapsCompatible_Level8/{z}/{y}/{x}.jpeg';
+const GIBS_MAX_ZOOM = 8;
+
+// Written by scripts/download-tiles.mjs (layout documented there)
+export const LOCAL_TILE_DIR = '/tiles';
+export const LOCAL_TILE_PACK = '/tiles.pack';
+const PACK_MAGIC = 'TPAK';
+const PACK_HEADER_BYTES = 12;
+const PACK_ENTRY_BYTES = 24;
+
+const CACHE_DB = 'space-elevator-tiles';
+const CACHE_STORE = 'tiles';
+const CACHE_MAX_TILES = 20000; // ~400 MB of 256-pixel JPEGs
+
+const tileKey = (zoom, x, y) => `${zoom}/${x}/${y}`;
+
+/**
+ * Remote XYZ/WMTS tiles from a URL template with {z}, {x} and {y} placeholders.
+ */
+export function templateSource(template, { maxZoom = GIBS_MAX_ZOOM } = {}) {
+  return {
+    name: template,
+    maxZoom,
+    async getTile(zoom, x, y) {
+      const url = template.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
+      try {
+        const res = await fetch(url);
+        // A dev server answers missing files with the app's HTML page
+        if (!res.ok || !(res.headers.get('content-type') || '').startsWith('image/')) return null;
+        return await res.blob();
+      } catch {
+        return null;
+      }
+    },
+  };
+}
+
+/**
+ * Tiles unpacked under the site root as {dir}/{z}/{y}/{x}.jpeg
+ * (same layout as the WMTS service).
+ */
+export function directorySource(dir = LOCAL_TILE_DIR, { maxZoom = GIBS_MAX_ZOOM } = {}) {
+  return templateSource(`${dir}/{z}/{y}/{x}.jpeg`, { maxZoom });
+}
+
+/**
+ * Tiles from a single pack file. The index is read once with range requests,
+ * then each tile is one ranged read; a server without range support sends the
+ * whole pack, which is then kept and sliced. maxZoom is 0 until the index is
+ * in; `ready` resolves once it is (or the pack turned out to be missing).
+ * @param {string} [url]
+ * @param {{type?: string}} [options] - MIME type of the packed images
+ */
+export function packSource(url = LOCAL_TILE_PACK, { type = 'image/jpeg' } = {}) {
+  let index = new Map(); // tile key → [offset, length]
+  let whole = null;
+
+  async function readRange(start, length) {
+    if (whole) return whole.slice(start, start + length);
+    const res = await fetch(url, { headers: { Range: `bytes=${start}-${start + length - 1}` } });
+    if (!res.ok) throw new Error(`Tile pack ${url}: HTTP ${res.status}`);
+    if (res.status === 206) return res.arrayBuffer();
+    whole = await res.arrayBuffer();
+    return whole.slice(start, start + length);
+  }
+
+  const source = {
+    name: url,
+    maxZoom: 0,
+    async getTile(zoom, x, y) {
+      await ready;
+      const entry = index.get(tileKey(zoom, x, y));
+      if (!entry) return null;
+      try {
+        return new Blob([await readRange(entry[0], entry[1])], { type });
+      } catch {
+        return null;
+      }
+    },
+  };
+
+  const ready = (async () => {
+    const header = new DataView(await readRange(0, PACK_HEADER_BYTES));
+    const magic = String.fromCharCode(...new Uint8Array(header.buffer, 0, 4));
+    if (magic !== PACK_MAGIC) throw new Error(`${url} is not a tile pack (magic "${magic}")`);
+    const count = header.getUint32(8, true);
+    const view = new DataView(await readRange(PACK_HEADER_BYTES, count * PACK_ENTRY_BYTES));
+    for (let i = 0, o = 0; i < count; i++, o += PACK_ENTRY_BYTES) {
+      const zoom = view.getUint8(o);
+      index.set(tileKey(zoom, view.getUint32(o + 4, true), view.getUint32(o + 8, true)),
+        [view.getFloat64(o + 16, true), view.getUint32(o + 12, true)]);
+    }
+    source.maxZoom = header.getUint8(6);
+  })().catch(() => {
+    index = new Map(); // missing or not a pack: every tile resolves null
+  });
+  source.ready = ready;
+
+  return source;
+}
+
+// Wrap an IDBRequest (or a transaction's completion) in a promise
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+let cacheDb = null;
+
+// One shared database; trimmed to the oldest-first limit when opened.
+// Resolves null where IndexedDB is unavailable (some private modes).
+function openCache() {
+  if (!cacheDb) {
+    cacheDb = (async () => {
+      const open = indexedDB.open(CACHE_DB, 1);
+      open.onupgradeneeded = () => {
+        open.result.createObjectStore(CACHE_STORE).createIndex('time', 'time');
+      };
+      const db = await request(open);
+      const store = db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE);
+      let excess = (await request(store.count())) - CACHE_MAX_TILES;
+      if (excess > 0) {
+        const cursors = store.index('time').openCursor();
+        cursors.onsuccess = () => {
+          const cursor = cursors.result;
+          if (!cursor || excess-- <= 0) return;
+          cursor.delete();
+          cursor.continue();
+        };
+      }
+      return db;
+    })().catch(() => null);
+  }
+  return cacheDb;
+}
+
+/**
+ * IndexedDB cache in front of another source: repeat visits skip the network.
+ * Tiles are keyed by the inner source's name, so switching sources never
+ * serves the wrong imagery.
+ */
+export function cachedSource(source) {
+  return {
+    name: source.name,
+    get maxZoom() {
+      return source.maxZoom;
+    },
+    async getTile(zoom, x, y) {
+      const db = await openCache();
+      const key = `${source.name}/${tileKey(zoom, x, y)}`;
+      if (db) {
+        try {
+          const hit = await request(db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(key));
+          if (hit) return hit.blob;
+        } catch {
+          // Fall through to the source
+        }
+      }
+      const blob = await source.getTile(zoom, x, y);
+      if (blob && db) {
+        try {
+          db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE).put({ blob, time: Date.now() }, key);
+        } catch {
+          // Quota or a closing database: the tile still draws
+        }
+      }
+      return blob;
+    },
+  };
+}
+
+/**
+ * Try each source in turn, e.g. a local pack with the network behind it.
+ * Waits for sources that load an index (packs) before judging their reach.
+ */
+export function fallbackSource(...sources) {
+  return {
+    name: sources.map((s) => s.name).join(' | '),
+    get maxZoom() {
+      return Math.max(...sources.map((s) => s.maxZoom));
+    },
+    async getTile(zoom, x, y) {
+      for (const source of sources) {
+        await source.ready;
+        if (zoom > source.maxZoom) continue;
+        const blob = await source.getTile(zoom, x, y);
+        if (blob) return blob;
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Build a source from a spec (the `tiles` URL parameter):
+ * - 'gibs' — NASA GIBS, cached in IndexedDB (the default)
+ * - 'local' / 'pack' — tiles from scripts/download-tiles.mjs under public/,
+ *   falling back to the cached network where they don't reach
+ * - 'local-only' / 'pack-only' — never touch the network (offline installs)
+ * - a URL template with {z}, {x} and {y} — another XYZ/WMTS service, cached
+ * Returns null if the spec was not understood.
+ */
+export function createTileSource(spec = 'gibs') {
+  const remote = () => cachedSource(templateSource(GIBS_TEMPLATE));
+  switch (spec) {
+    case 'gibs': return remote();
+    case 'local': return fallbackSource(directorySource(), remote());
+    case 'pack': return fallbackSource(packSource(), remote());
+    case 'local-only': return directorySource();
+    case 'pack-only': return packSource();
+    default:
+      return spec.includes('{z}') ? cachedSource(templateSource(spec)) : null;
+  }
+}
@@ -2,35 +2,72 @@ import * as THREE from "three";
 import { SceneManager } from "./scene/SceneManager.js";
 import { Earth } from "./scene/Earth.js";
 import { Stars } from "./scene/Stars.js";
+import { Planets } from "./scene/Planets.js";
 import { Sky } from "./scene/Sky.js";
 import { Sun } from "./scene/Sun.js";
 import { Cabin } from "./scene/Cabin.js";
 import { Cable } from "./scene/Cable.js";
 import { AnchorStation } from "./scene/AnchorStation.js";
 import { OrbitalPlatform } from "./scene/OrbitalPlatform.js";
+import { ReleaseOrbit } from "./scene/ReleaseOrbit.js";
+import { Climbers } from "./scene/Climbers.js";
+import { Moon } from "./scene/Moon.js";
+import { Satellites } from "./scene/Satellites.js";
+import { Constellations } from "./scene/Constellations.js";
+import { GeoOverlay } from "./scene/GeoOverlay.js";
+import { DeepSky } from "./scene/DeepSky.js";
 import { FirstPersonController } from "./controls/FirstPersonController.js";
 import { MobileController } from "./controls/MobileController.js";
 import { quality } from "./QualitySettings.js";
 import { HUD } from "./ui/HUD.js";
 import { AdminPanel } from "./ui/AdminPanel.js";
+import { TetherPanel } from "./ui/TetherPanel.js";
+import { SkyInspector } from "./ui/SkyInspector.js";
 import { AmbientAudio } from "./scene/Audio.js";
+import { setTileSource } from "./loaders/TileLoader.js";
 import {
   getState,
   updateLocalState,
   setMode,
   setCinemaPreset,
+  setSpeedProfile,
   getUTCSyncState,
   adminSetAltitude,
   adminSetTimeScale,
   adminSetDirection,
+  adminSetMotionLimits,
+  adminSetCableLength,
+  adminEnterSandbox,
   adminReturnToRealtime,
   adminRestart,
 } from "./simulation/state.js";
+import { computeReleaseTrajectory } from "./simulation/trajectory.js";
+import { getMilestones } from "./simulation/config.js";
+import { updateFleet, getFleet } from "./simulation/fleet.js";
 import {
+  getSolarPosition,
+  getLunarPosition,
+  getHourAngle,
+  getGreenwichSiderealAngle,
+} from "./simulation/ephemeris.js";
+import {
+  now as clockNow,
+  pauseClock,
+  resumeClock,
+  seekClock,
+  setClockRate,
+  setClockOffset,
+  getClockState,
+} from "./simulation/clock.js";
+import {
+  getAnchor,
+  setAnchor,
+  getEarthRotation,
+  getAnchorLonOffsetSeconds,
+} from "./simulation/anchor.js";
+import {
+  EARTH_RADIUS,
   EYE_HEIGHT,
-  MILESTONES,
-  ANCHOR_LON_RAD,
-  SUN_ANGULAR_VELOCITY,
   CINEMA_MODES,
 } from "./constants.js";
 import { inject } from "@vercel/analytics";
@@ -73,28 +110,67 @@ setTimeout(() => {
 const sceneManager = new SceneManager();
 const { scene, camera, renderer } = sceneManager;
 
-// --- Polar axis (needed by Stars and sun orbit) ---
+const params = new URLSearchParams(window.location.search);
+
+// Anchor site comes first — Earth orientation and the sky frame depend on it
+if (params.has("anchor")) setAnchor(params.get("anchor"));
+// Surface imagery: GIBS by default, or local tiles / a tile pack for offline installs
+if (params.has("tiles")) setTileSource(params.get("tiles"));
+
+// --- Anchor frame: polar axis (Stars, sun orbit) and local horizon ---
+// All derived from the anchor; applyAnchorFrame() recomputes them in place.
 const earthQuaternion = new THREE.Quaternion();
-const earthEulerXYZ = new THREE.Euler(
-  -Math.PI / 2,
-  -(ANCHOR_LON_RAD + Math.PI / 2),
-  0,
-  "XYZ",
-);
-earthQuaternion.setFromEuler(earthEulerXYZ);
-const polarAxis = new THREE.Vector3(0, 1, 0)
-  .applyQuaternion(earthQuaternion)
-  .normalize();
+const polarAxis = new THREE.Vector3();
+const eastDir = new THREE.Vector3();
+const northDir = new THREE.Vector3();
+// Equatorial basis for the sun: polarAxis, eastDir and midnightDir (the
+// equatorial-plane direction below the anchor meridian, i.e. hour angle 180°)
+const midnightDir = new THREE.Vector3();
+const worldUp = new THREE.Vector3(0, 1, 0);
+let anchorLonOffsetS = 0;
+
+function applyAnchorFrame() {
+  const { x, y } = getEarthRotation();
+  earthQuaternion.setFromEuler(new THREE.Euler(x, y, 0, "XYZ"));
+  polarAxis.set(0, 1, 0).applyQuaternion(earthQuaternion).normalize();
+  eastDir.crossVectors(polarAxis, worldUp).normalize();
+  northDir.crossVectors(worldUp, eastDir);
+  midnightDir.crossVectors(polarAxis, eastDir).normalize();
+  anchorLonOffsetS = getAnchorLonOffsetSeconds();
+}
+applyAnchorFrame();
+
+// Simulated date/time (UTC ms) that drives the sun. Real-time follows the
+// simulation clock; sandbox/cinema start at local noon on sandboxDayMs (so the
+// ground plane is well-lit during initial ascent) and advance with timeScale.
+const MS_PER_DAY = 86_400_000;
+let sandboxDayMs = Math.floor(clockNow() / MS_PER_DAY) * MS_PER_DAY;
+let simDateMs = localNoonMs(sandboxDayMs);
+
+// Local mean noon at the anchor on a UTC day
+function localNoonMs(dayMs) {
+  return dayMs + MS_PER_DAY / 2 - anchorLonOffsetS * 1000;
+}
 
 // Create scene objects
-const earth = new Earth(scene, loadingManager);
-const stars = new Stars(scene, loadingManager, polarAxis);
+const earth = new Earth(scene, loadingManager, getAnchor());
+const geoOverlay = new GeoOverlay(earth.group);
+geoOverlay.setAnchor(getAnchor());
+const stars = new Stars(scene, loadingManager);
+const planets = new Planets(stars.frame);
+const deepSky = new DeepSky(stars.frame, loadingManager);
+const constellations = new Constellations(stars.frame);
+stars.onLoad = (catalog) => constellations.setCatalog(catalog);
 const sky = new Sky(scene);
 const sun = new Sun(scene);
+const moon = new Moon(scene);
 const cabin = new Cabin(scene);
 const cable = new Cable(scene);
 const anchor = new AnchorStation(scene);
 const platform = new OrbitalPlatform(scene);
+const releaseOrbit = new ReleaseOrbit(scene);
+const climbers = new Climbers(scene);
+const satellites = new Satellites(scene, loadingManager);
 
 // First person controls (desktop) or mobile controller
 const controller = quality.isMobile
@@ -104,9 +180,6 @@ if (!quality.isMobile) controller.setBounds(cabin.getBounds());
 
 // Camera initial position — near outer wall over a floor glass panel.
 // Use a face-midpoint direction (30°) to avoid corner support pillars.
-const eastDir = new THREE.Vector3()
-  .crossVectors(polarAxis, new THREE.Vector3(0, 1, 0))
-  .normalize();
 const spawnDir = new THREE.Vector3(
   Math.cos(Math.PI / 6),
   0,
@@ -120,6 +193,7 @@ camera.lookAt(
   camera.position.z + eastDir.z,
 );
 controller.initYawFromCamera();
+controller.setHorizonFrame(eastDir, northDir);
 
 // Audio
 const audio = new AmbientAudio();
@@ -127,6 +201,44 @@ const audio = new AmbientAudio();
 // UI
 const hud = new HUD();
 const adminPanel = new AdminPanel();
+const tetherPanel = new TetherPanel();
+
+// Cable engineering panel drives the cable's visual taper
+cable.setTetherProfile(tetherPanel.profile);
+tetherPanel.onChange = (profile) => cable.setTetherProfile(profile);
+adminPanel.onToggleTether = () => tetherPanel.toggle();
+adminPanel.onCableLength = (km) => {
+  if (!adminSetCableLength(km)) return false;
+  tetherPanel.recompute(); // taper and counterweight depend on the length
+  adminPanel.syncCableLength();
+  return true;
+};
+
+// Release trajectory overlay (orbit line + HUD summary), off by default
+let releaseVisible = false;
+adminPanel.onToggleRelease = () => {
+  releaseVisible = !releaseVisible;
+  releaseOrbit.setVisible(releaseVisible);
+  adminPanel.releaseVisible = releaseVisible;
+};
+
+// Sky guide (constellation figures, star names, crosshair info card), off by default
+const skyInspector = new SkyInspector();
+let skyGuideVisible = false;
+adminPanel.onToggleSkyGuide = () => {
+  skyGuideVisible = !skyGuideVisible;
+  constellations.setVisible(skyGuideVisible);
+  skyInspector.setEnabled(skyGuideVisible);
+  adminPanel.skyGuideVisible = skyGuideVisible;
+};
+
+// Quality level: high adds the deep star tiers (streamed on first use)
+adminPanel.onToggleQuality = () => {
+  quality.level = quality.level === "high" ? "standard" : "high";
+  quality.deepStars = quality.level === "high";
+  stars.setDeepTiersVisible(quality.deepStars);
+  adminPanel.setQualityButtonText();
+};
 
 // Cabin visible by default
 let cabinVisible = true;
@@ -137,8 +249,50 @@ adminPanel.onToggleCabin = () => {
   adminPanel.cabinVisible = cabinVisible;
 };
 
+// Cloud layer on by default; off restores the cloud-free globe
+adminPanel.onToggleClouds = () => {
+  earth.setCloudsVisible(!earth.cloudsVisible);
+  adminPanel.cloudsVisible = earth.cloudsVisible;
+  adminPanel.setCloudsButtonText(earth.cloudsVisible);
+};
+
+// Map overlay (coastlines, borders, graticule, place names), off by default
+adminPanel.onToggleGeoOverlay = () => {
+  geoOverlay.setVisible(!geoOverlay.visible);
+  adminPanel.geoOverlayVisible = geoOverlay.visible;
+  adminPanel.setGeoOverlayButtonText(geoOverlay.visible);
+};
+
+// Anchor site picker: move the base station and re-derive the local frame
+adminPanel.onAnchorChange = (spec) => {
+  const site = setAnchor(spec);
+  if (!site) return;
+  applyAnchorFrame();
+  earth.setAnchor(site);
+  geoOverlay.setAnchor(site);
+  controller.setHorizonFrame(eastDir, northDir);
+  adminPanel.syncAnchor();
+};
+
 // Star brightness slider
-adminPanel.onStarBrightness = (val) => stars.setBrightnessMultiplier(val);
+adminPanel.onStarBrightness = (val) => {
+  stars.setBrightnessMultiplier(val);
+  planets.setBrightnessMultiplier(val);
+};
+
+// Date picker: jump to another day at the same UTC time of day
+adminPanel.onDateChange = (dayMs) => {
+  sandboxDayMs = dayMs;
+  simDateMs = dayMs + (((simDateMs % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY);
+};
+adminPanel.onShow = () => adminPanel.setSimDate(simDateMs);
+
+// Pause/resume the simulation clock
+adminPanel.onToggleClock = () => {
+  if (getClockState().paused) resumeClock();
+  else pauseClock();
+  adminPanel.setClockButtonText(getClockState().paused);
+};
 
 // Audio mute toggle
 adminPanel.onToggleAudio = () => {
@@ -149,8 +303,7 @@ adminPanel.onToggleAudio = () => {
 
 // Settings panel opened while in real-time → switch to sandbox at current position
 adminPanel.onEnterSandbox = () => {
-  const currentState = getState();
-  adminSetAltitude(currentState.altitudeKm); // transitions state.mode to sandbox
+  adminEnterSandbox(); // transitions state.mode to sandbox, keeping current motion
   selectedMode = "sandbox";
 };
 
@@ -158,53 +311,106 @@ adminPanel.onEnterSandbox = () => {
 adminPanel.onReturnToRealtime = () => {
   adminReturnToRealtime();
   selectedMode = "realtime";
-  simElapsedSeconds = realtimeSimSeconds();
+  simDateMs = clockNow();
   updateLocalState();
   const currentAlt = getState().altitudeKm;
-  for (const m of MILESTONES) {
+  for (const m of getMilestones()) {
     if (m.altitude <= currentAlt) triggeredMilestones.add(m.altitude);
   }
   adminPanel.hide();
   if (!quality.isMobile) controller.lock();
 };
 
-// --- URL deep links ---
-const params = new URLSearchParams(window.location.search);
+// --- URL deep links (anchor is applied above, before the scene is built) ---
+if (params.has("cable")) adminPanel.onCableLength(parseFloat(params.get("cable")));
+if (params.has("profile")) setSpeedProfile(params.get("profile"));
 if (params.has("alt")) adminSetAltitude(parseFloat(params.get("alt")));
 if (params.has("speed")) adminSetTimeScale(parseInt(params.get("speed")));
 if (params.has("dir")) adminSetDirection(parseInt(params.get("dir")));
+if (params.has("accel") || params.has("jerk")) {
+  adminSetMotionLimits({
+    maxAccel: parseFloat(params.get("accel")),
+    maxJerk: parseFloat(params.get("jerk")),
+  });
+}
 if (params.has("cabin") && params.get("cabin") === "0") {
   cabinVisible = false;
   cabin.setVisible(false);
   adminPanel.cabinVisible = false;
 }
+if (params.has("clouds") && params.get("clouds") === "0") {
+  adminPanel.onToggleClouds();
+}
+if (params.has("geo") && params.get("geo") === "1") {
+  adminPanel.onToggleGeoOverlay();
+}
+if (params.has("orbit") && params.get("orbit") === "1") {
+  adminPanel.onToggleRelease();
+}
+if (params.has("sky") && params.get("sky") === "1") {
+  adminPanel.onToggleSkyGuide();
+}
+if (params.has("date")) adminPanel.pickDate(params.get("date"));
+// Time-lapse or slow motion of the real-time schedule (clock speed vs. the wall clock)
+if (params.has("rate")) setClockRate(parseFloat(params.get("rate")));
+// Shift every clock reading by a number of hours, e.g. to preview another time of day
+if (params.has("offset")) {
+  const hours = parseFloat(params.get("offset"));
+  if (Number.isFinite(hours)) setClockOffset(hours * 3_600_000);
+}
+if (params.has("time")) {
+  // ISO date or epoch ms — replays a moment of the real-time schedule
+  const raw = params.get("time");
+  const ms = /^-?\d+$/.test(raw) ? parseInt(raw) : Date.parse(raw);
+  if (!isNaN(ms)) seekClock(ms);
+}
+if (params.has("paused") && params.get("paused") === "1") {
+  adminPanel.onToggleClock();
+}
 if (params.has("stars")) {
   const v = parseFloat(params.get("stars"));
   stars.setBrightnessMultiplier(v * 1.3);
+  planets.setBrightnessMultiplier(v * 1.3);
   adminPanel.starBrightnessVal = v;
 }
 
-// Build two perpendicular basis vectors in the sun's orbital plane
-const tempVec =
-  Math.abs(polarAxis.y) < 0.9
-    ? new THREE.Vector3(0, 1, 0)
-    : new THREE.Vector3(1, 0, 0);
-const basisA = new THREE.Vector3().crossVectors(polarAxis, tempVec).normalize();
-const basisB = new THREE.Vector3().crossVectors(polarAxis, basisA).normalize();
 
 // Reusable vectors
 const sunDirection = new THREE.Vector3();
+const moonPosition = new THREE.Vector3();
+const earthCenter = new THREE.Vector3();
+const equatorialToWorld = new THREE.Matrix4();
+const _eqX = new THREE.Vector3();
+const _eqY = new THREE.Vector3();
+
+// World-space direction of an object at (right ascension, declination) for the
+// simulated date, via its hour angle at the anchor: H = 0 on the anchor meridian
+function setEquatorialDirection(target, rightAscension, declination) {
+  const hourAngle = getHourAngle(simDateMs, getAnchor().lonRad, rightAscension);
+  const cosDec = Math.cos(declination);
+  return target
+    .set(0, 0, 0)
+    .addScaledVector(midnightDir, -cosDec * Math.cos(hourAngle))
+    .addScaledVector(eastDir, -cosDec * Math.sin(hourAngle))
+    .addScaledVector(polarAxis, Math.sin(declination));
+}
 
-// Accumulated simulation time (respects timeScale)
-// Start at noon so the ground plane is well-lit during initial ascent
-let simElapsedSeconds = 12 * 3600;
+// Geocentric equatorial km (x → equinox, z → north pole) to world space, given
+// the local sidereal angle of the anchor meridian; same mapping as above
+function setEquatorialFrame(target, localSiderealAngle, origin) {
+  const c = Math.cos(localSiderealAngle);
+  const s = Math.sin(localSiderealAngle);
+  _eqX.copy(midnightDir).multiplyScalar(-c).addScaledVector(eastDir, -s);
+  _eqY.copy(midnightDir).multiplyScalar(-s).addScaledVector(eastDir, c);
+  return target.makeBasis(_eqX, _eqY, polarAxis).setPosition(origin);
+}
 
 // Milestone tracking
 let triggeredMilestones = new Set();
 let milestoneTimeout = null;
 
 function checkMilestones(altitudeKm) {
-  for (const m of MILESTONES) {
+  for (const m of getMilestones()) {
     const key = m.altitude;
     if (triggeredMilestones.has(key)) continue;
 
@@ -218,7 +424,7 @@ function checkMilestones(altitudeKm) {
 
 function showMilestone(m) {
   milestoneEl.querySelector(".altitude").textContent = m.sublabel;
-  milestoneEl.querySelector(".name").textContent = m.label;
+  milestoneEl.querySelector(".name").textContent = m.label ?? getAnchor().label;
   milestoneEl.style.opacity = "1";
 
   if (milestoneTimeout) clearTimeout(milestoneTimeout);
@@ -227,6 +433,16 @@ function showMilestone(m) {
   }, m.displayMs);
 }
 
+function showPassing({ id, direction, altitudeKm }) {
+  const heading =
+    direction === 1 ? "ascending" : direction === -1 ? "descending" : "stopped";
+  showMilestone({
+    sublabel: `${Math.round(altitudeKm).toLocaleString("en-US")} km`,
+    label: `Climber ${id} passing, ${heading}`,
+    displayMs: 4000,
+  });
+}
+
 // Format milliseconds as human-readable duration (e.g. "3d 14h 22m")
 function formatDurationMs(ms) {
   const totalMin = Math.floor(ms / 60_000);
@@ -238,19 +454,6 @@ function formatDurationMs(ms) {
   return `${mins}m`;
 }
 
-// Anchor longitude offset for UTC → local solar time (seconds)
-// -80.25° west → -19260s (~5h 21m behind UTC)
-const ANCHOR_LON_OFFSET_S = (ANCHOR_LON_RAD / (2 * Math.PI)) * 86400;
-
-// Compute simElapsedSeconds from wall clock so sun position matches local solar time.
-// Uses time-of-day (mod 86400) instead of raw Unix timestamp to avoid accumulated
-// drift between the sidereal angular velocity used for the sun and the solar day.
-function realtimeSimSeconds() {
-  const utcSeconds = Date.now() / 1000;
-  const utcTimeOfDay = ((utcSeconds % 86400) + 86400) % 86400;
-  return ((utcTimeOfDay + ANCHOR_LON_OFFSET_S) % 86400 + 86400) % 86400;
-}
-
 // Inject cinema mode label + buttons from data
 const cinemaLabel = document.createElement("div");
 cinemaLabel.textContent = "CINEMATIC MODES";
@@ -280,22 +483,22 @@ modeSelect.querySelectorAll(".mode-btn").forEach((btn) => {
     if (selectedMode === "cinema") {
       const presetIndex = parseInt(btn.dataset.cinema) || 0;
       setCinemaPreset(CINEMA_MODES[presetIndex]);
-      simElapsedSeconds = 12 * 3600;
+      simDateMs = localNoonMs(sandboxDayMs);
     } else if (selectedMode === "realtime") {
-      // Sync sun position to local solar time at the anchor
-      simElapsedSeconds = realtimeSimSeconds();
+      // Sun follows the real date and time at the anchor
+      simDateMs = clockNow();
 
       // Pre-populate triggered milestones for all below current altitude
       updateLocalState();
       const currentAlt = getState().altitudeKm;
-      for (const m of MILESTONES) {
+      for (const m of getMilestones()) {
         if (m.altitude <= currentAlt) {
           triggeredMilestones.add(m.altitude);
         }
       }
 
       // Show join notification with travel context
-      const sync = getUTCSyncState(Date.now());
+      const sync = getUTCSyncState(clockNow());
       if (sync.phase === "ascend" || sync.phase === "descend") {
         const origin =
           sync.phase === "ascend" ? "Ground" : "Counterweight Station";
@@ -323,7 +526,7 @@ modeSelect.querySelectorAll(".mode-btn").forEach((btn) => {
     } else {
       // Sandbox: reset start time to now so elevator begins at ground
       adminRestart();
-      simElapsedSeconds = 12 * 3600;
+      simDateMs = localNoonMs(sandboxDayMs);
     }
 
     loadingScreen.style.display = "none";
@@ -368,15 +571,21 @@ let prevPhase = null;
 
 // Render loop
 const clock = new THREE.Clock();
+let prevClockMs = clockNow();
 
 function animate() {
   requestAnimationFrame(animate);
 
+  // Wall-clock delta drives the player and effects; simulation time comes from
+  // the simulation clock so pausing/seeking/rate changes reach everything
   const delta = clock.getDelta();
+  const nowMs = clockNow();
+  const simDelta = Math.max(0, nowMs - prevClockMs) / 1000;
+  prevClockMs = nowMs;
   const state = getState();
 
   // Update local altitude computation
-  updateLocalState();
+  updateLocalState(nowMs);
 
   const altitudeKm = state.altitudeKm;
 
@@ -413,33 +622,54 @@ function animate() {
   }
   if (selectedMode) prevPhase = state.phase;
 
-  // Advance simulation time
+  // Advance simulated date
   if (selectedMode === "realtime") {
-    // Recompute from wall clock each frame so day/night stays synced
-    simElapsedSeconds = realtimeSimSeconds();
+    // Follow the simulation clock so day/night and season stay synced
+    simDateMs = nowMs;
   } else {
     // Sandbox/Cinema: accumulate with timeScale
-    simElapsedSeconds += delta * state.timeScale;
+    simDateMs += simDelta * 1000 * state.timeScale;
   }
-  const sunAngle = SUN_ANGULAR_VELOCITY * simElapsedSeconds;
 
-  // Sun direction in world space: orbits around Earth's polar axis
-  sunDirection
-    .set(0, 0, 0)
-    .addScaledVector(basisA, Math.sin(sunAngle))
-    .addScaledVector(basisB, Math.cos(sunAngle));
+  // Sun direction from the ephemeris: declination tilts it off the equatorial
+  // plane (seasons, GEO eclipse seasons), the hour angle carries the equation of time
+  const solar = getSolarPosition(simDateMs);
+  setEquatorialDirection(sunDirection, solar.rightAscension, solar.declination);
+
+  // Moon: geocentric position shifted to the camera — parallax is large this far up
+  const lunar = getLunarPosition(simDateMs);
+  earthCenter.set(0, -(EARTH_RADIUS + altitudeKm), 0);
+  setEquatorialDirection(moonPosition, lunar.rightAscension, lunar.declination)
+    .multiplyScalar(lunar.distanceKm)
+    .add(earthCenter);
+
+  // The sky turns with the sidereal day, not the solar one: local sidereal time
+  // (GMST + anchor longitude) orients stars, planets and satellites
+  const siderealAngle = getGreenwichSiderealAngle(simDateMs) + getAnchor().lonRad;
+  setEquatorialFrame(equatorialToWorld, siderealAngle, earthCenter);
 
   // Update controller with gravity-dependent physics
-  controller.update(delta, altitudeKm);
+  controller.update(delta, altitudeKm, state.velocityKmh, state.accelerationMs2);
 
   // Update scene objects
-  earth.update(altitudeKm, delta, sunDirection);
+  earth.update(altitudeKm, delta, sunDirection, simDateMs, camera.position);
+  geoOverlay.update(camera, altitudeKm, earth.earthMesh.rotation);
   sun.update(sunDirection, altitudeKm);
+  moon.update(moonPosition, earthCenter, sunDirection, polarAxis, altitudeKm);
   sky.update(altitudeKm, sunDirection);
-  stars.update(altitudeKm, sunAngle, polarAxis);
+  stars.update(altitudeKm, equatorialToWorld);
+  planets.update(simDateMs);
+  deepSky.update(sky.blendFactor, sunDirection, !sun.occluded);
+  satellites.update(simDateMs, equatorialToWorld, earthCenter, sunDirection, camera);
+  constellations.update(camera, altitudeKm, sky.blendFactor);
+  skyInspector.update(camera, stars.frame, stars.catalog, planets.positions, solar, altitudeKm);
   cable.update(altitudeKm);
   anchor.update(altitudeKm, delta);
   platform.update(altitudeKm);
+  const passings = updateFleet(state.fleetClockMs, altitudeKm);
+  climbers.update(getFleet(), altitudeKm, clock.elapsedTime);
+  const release = releaseVisible ? computeReleaseTrajectory(altitudeKm) : null;
+  if (release) releaseOrbit.update(altitudeKm, release, eastDir);
 
   // Update audio
   audio.update(altitudeKm);
@@ -447,8 +677,14 @@ function animate() {
   // Check milestones (skip in cinema mode — too fast to read)
   if (selectedMode !== "cinema") checkMilestones(altitudeKm);
 
+  // Announce other climbers going by
+  if (selectedMode && selectedMode !== "cinema") {
+    for (const p of passings) showPassing(p);
+  }
+
   // Update HUD
-  hud.update(state, simElapsedSeconds, controller);
+  hud.update(state, simDateMs, controller, release);
+  tetherPanel.update(altitudeKm);
 
   // Render
   sceneManager.render();
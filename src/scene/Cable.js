@@ -1,15 +1,25 @@
 import * as THREE from 'three';
-import { CABLE_LENGTH, CABIN_SIZE, EYE_HEIGHT } from '../constants.js';
+import { CABIN_SIZE, EYE_HEIGHT } from '../constants.js';
+import { sampleTetherProfile } from '../simulation/tether.js';
+import { getSimulationConfig } from '../simulation/config.js';
 
 // Offset cable slightly so it's beside the cabin, not through the camera
 const CABLE_X = 0; // centered — runs through cabin
 const NEAR_HALF = 0.1; // 100m above/below camera
+const MAX_WIDTH_SCALE = 20; // visual cap — weak materials need astronomically wide cables
+
+// Far-cable vertices, dense near the ground; anything at or above the top is dropped
+const FAR_ALTITUDES = [0, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 50, 100, 500, 1000,
+  5000, 10000, 20000, 35786, 50000, 75000, 100000, 125000];
 
 export class Cable {
   constructor(scene) {
     this.group = new THREE.Group();
     scene.add(this.group);
 
+    // Tether engineering profile (set from the cable engineering panel)
+    this.tetherProfile = null;
+
     // Nearby cable segment — visible cylinder that extends above and below
     const nearGeo = new THREE.CylinderGeometry(0.00015, 0.00015, NEAR_HALF * 2, 8);
     const nearMat = new THREE.MeshBasicMaterial({
@@ -29,22 +39,36 @@ export class Cable {
       depthWrite: true,
     });
 
-    const altitudes = [0, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 50, 100, 500, 1000,
-      5000, 10000, 20000, 35786, 50000, 75000, CABLE_LENGTH];
-    const points = altitudes.map(alt => new THREE.Vector3(CABLE_X, alt, 0));
-
-    const geo = new THREE.BufferGeometry().setFromPoints(points);
-    this.farCable = new THREE.Line(geo, farMat);
+    this.lengthKm = getSimulationConfig().cableLengthKm;
+    this.farCable = new THREE.Line(Cable._farGeometry(this.lengthKm), farMat);
     this.farCable.renderOrder = 2;
     this.group.add(this.farCable);
   }
 
+  static _farGeometry(lengthKm) {
+    const altitudes = [...FAR_ALTITUDES.filter(alt => alt < lengthKm), lengthKm];
+    const points = altitudes.map(alt => new THREE.Vector3(CABLE_X, alt, 0));
+    return new THREE.BufferGeometry().setFromPoints(points);
+  }
+
+  setTetherProfile(profile) {
+    this.tetherProfile = profile;
+  }
+
   update(altitudeKm) {
+    // Rebuild the far line when the cable length is reconfigured
+    const lengthKm = getSimulationConfig().cableLengthKm;
+    if (lengthKm !== this.lengthKm) {
+      this.lengthKm = lengthKm;
+      this.farCable.geometry.dispose();
+      this.farCable.geometry = Cable._farGeometry(lengthKm);
+    }
+
     // Near cable follows camera vertically, clipped to cable endpoints
     // Cable ends at cabin ceiling (H - EYE_HEIGHT above camera) at the counterweight station
     const ceilingOffset = CABIN_SIZE.height - EYE_HEIGHT + 0.004; // 4m past cabin roof
     const bottom = Math.max(-altitudeKm, -NEAR_HALF);
-    const top = Math.min(CABLE_LENGTH - altitudeKm + ceilingOffset, NEAR_HALF);
+    const top = Math.min(lengthKm - altitudeKm + ceilingOffset, NEAR_HALF);
 
     if (top <= bottom) {
       this.nearCable.visible = false;
@@ -55,6 +79,14 @@ export class Cable {
       this.nearCable.position.y = (top + bottom) / 2;
     }
 
+    // Width follows the taper: radius grows with the square root of the area ratio
+    if (this.tetherProfile) {
+      const { log10Taper } = sampleTetherProfile(this.tetherProfile, altitudeKm);
+      const widthScale = Math.min(MAX_WIDTH_SCALE, 10 ** (log10Taper / 2));
+      this.nearCable.scale.x = widthScale;
+      this.nearCable.scale.z = widthScale;
+    }
+
     // Far cable anchored at surface
     this.farCable.position.set(0, -altitudeKm, 0);
   }
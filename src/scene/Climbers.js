@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import { CABIN_SIZE, CLIMBER_FLEET_SIZE, CLIMBER_VISUAL_RANGE_KM, CLIMBER_TRACK_SPACING } from '../constants.js';
+
+const RADIUS = CABIN_SIZE.width / 2;
+const H = CABIN_SIZE.height;
+const STROBE_PERIOD_S = 1.5;
+const STROBE_ON_S = 0.12;
+const NAV_LIGHT_PX = 4;
+const STROBE_PX = 6;
+
+/**
+ * The other climbers in the fleet: a low-detail hex cabin on its own track
+ * beside the rider's, with navigation lights (red/green, drawn at a fixed
+ * pixel size so they read from far away) and a white anti-collision strobe.
+ */
+export class Climbers {
+  constructor(scene) {
+    this.group = new THREE.Group();
+    scene.add(this.group);
+
+    const hullMat = new THREE.MeshStandardMaterial({
+      color: 0x2a2a2e,
+      metalness: 0.85,
+      roughness: 0.3,
+    });
+    const windowMat = new THREE.MeshBasicMaterial({ color: 0x88ccff });
+    const hullGeo = new THREE.CylinderGeometry(RADIUS, RADIUS, H, 6);
+    const bandGeo = new THREE.CylinderGeometry(RADIUS * 1.01, RADIUS * 1.01, H * 0.15, 6);
+
+    // Red at the bottom, green at the top, on opposite sides so direction reads at a glance
+    const navGeo = new THREE.BufferGeometry();
+    navGeo.setAttribute('position', new THREE.Float32BufferAttribute([
+      RADIUS, 0, 0, -RADIUS, 0, 0,
+      RADIUS, H, 0, -RADIUS, H, 0,
+    ], 3));
+    navGeo.setAttribute('color', new THREE.Float32BufferAttribute([
+      1, 0.1, 0.1, 1, 0.1, 0.1,
+      0.1, 1, 0.2, 0.1, 1, 0.2,
+    ], 3));
+    const navMat = new THREE.PointsMaterial({
+      size: NAV_LIGHT_PX,
+      sizeAttenuation: false,
+      vertexColors: true,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    const strobeGeo = new THREE.BufferGeometry();
+    strobeGeo.setAttribute('position', new THREE.Float32BufferAttribute([0, H + 0.0005, 0], 3));
+    this.strobeMaterial = new THREE.PointsMaterial({
+      color: 0xffffff,
+      size: STROBE_PX,
+      sizeAttenuation: false,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    this.climbers = [];
+    for (let track = 1; track < CLIMBER_FLEET_SIZE; track++) {
+      const climber = new THREE.Group();
+      const hull = new THREE.Mesh(hullGeo, hullMat);
+      hull.position.y = H / 2;
+      climber.add(hull);
+      const band = new THREE.Mesh(bandGeo, windowMat);
+      band.position.y = H * 0.6;
+      climber.add(band);
+      climber.add(new THREE.Points(navGeo, navMat));
+      const strobe = new THREE.Points(strobeGeo, this.strobeMaterial);
+      climber.add(strobe);
+
+      // Tracks alternate either side of the rider's: +1, -1, +2, -2, ...
+      const side = track % 2 === 1 ? 1 : -1;
+      climber.position.x = side * Math.ceil(track / 2) * CLIMBER_TRACK_SPACING;
+      climber.visible = false;
+      this.group.add(climber);
+      this.climbers.push({ group: climber, strobe });
+    }
+  }
+
+  /**
+   * @param {Array<{track: number, altitudeKm: number}>} fleet - from getFleet()
+   * @param {number} altitudeKm - rider altitude
+   * @param {number} elapsedSeconds - wall-clock seconds, drives the strobe
+   */
+  update(fleet, altitudeKm, elapsedSeconds) {
+    const strobeOn = elapsedSeconds % STROBE_PERIOD_S < STROBE_ON_S;
+    for (const c of fleet) {
+      const mesh = this.climbers[c.track - 1];
+      if (!mesh) continue;
+      const relativeY = c.altitudeKm - altitudeKm;
+      mesh.group.visible = Math.abs(relativeY) < CLIMBER_VISUAL_RANGE_KM;
+      mesh.group.position.y = relativeY;
+      mesh.strobe.visible = strobeOn;
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import { EARTH_RADIUS } from '../constants.js';
+
+const LINE_SCALE = 0.995; // just inside the starfield so lines never z-fight the stars
+const LABEL_MAG = 2.0; // named stars at least this bright get a label
+const LABEL_OFFSET_PX = 6;
+const DAYLIGHT_HIDE = 0.5; // sky blend factor above which labels are pointless
+
+const _world = new THREE.Vector3();
+const _ndc = new THREE.Vector3();
+
+/**
+ * Sky guide overlay: constellation stick figures drawn in the celestial frame
+ * (so they turn with the stars) and HTML name tags on the brightest named stars.
+ */
+export class Constellations {
+  constructor(frame) {
+    this.frame = frame;
+    this.visible = false;
+    this.lines = null;
+    this.labels = []; // { el, position (catalog coords) }
+    this.labelLayer = document.getElementById('sky-labels');
+  }
+
+  /**
+   * Build the figures and labels once the star catalog has loaded.
+   * @param {{positions: Float32Array, magnitudes: Float32Array, info: Array, constellations: Array}} catalog
+   */
+  setCatalog(catalog) {
+    const { positions, magnitudes, info, constellations } = catalog;
+
+    const vertices = [];
+    const push = (i) => vertices.push(
+      positions[i * 3] * LINE_SCALE,
+      positions[i * 3 + 1] * LINE_SCALE,
+      positions[i * 3 + 2] * LINE_SCALE,
+    );
+    for (const c of constellations) {
+      for (const run of c.lines) {
+        for (let k = 1; k < run.length; k++) {
+          push(run[k - 1]);
+          push(run[k]);
+        }
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    const material = new THREE.LineBasicMaterial({
+      color: 0x4a7fb0,
+      transparent: true,
+      opacity: 0.45,
+      depthWrite: false,
+      toneMapped: false,
+    });
+    this.lines = new THREE.LineSegments(geometry, material);
+    this.lines.renderOrder = -1; // with the stars: Earth and the daytime sky cover them
+    this.lines.frustumCulled = false;
+    this.lines.visible = this.visible;
+    this.frame.add(this.lines);
+
+    info.forEach((row, i) => {
+      const name = row && row[0];
+      if (!name || !(magnitudes[i] <= LABEL_MAG)) return;
+      const el = document.createElement('div');
+      el.textContent = name;
+      el.style.display = 'none';
+      this.labelLayer.appendChild(el);
+      this.labels.push({
+        el,
+        position: new THREE.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]),
+      });
+    });
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    if (this.lines) this.lines.visible = visible;
+    if (!visible) for (const label of this.labels) label.el.style.display = 'none';
+  }
+
+  /**
+   * Place the star labels; call after the star frame has been oriented.
+   * @param {THREE.Camera} camera
+   * @param {number} altitudeKm
+   * @param {number} skyBlend - daytime sky opacity (Sky.blendFactor)
+   */
+  update(camera, altitudeKm, skyBlend) {
+    if (!this.visible || this.labels.length === 0) return;
+
+    const hideAll = skyBlend > DAYLIGHT_HIDE;
+    const cosEarth = Math.cos(Math.asin(EARTH_RADIUS / (EARTH_RADIUS + altitudeKm)));
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    this.frame.updateWorldMatrix(true, false);
+
+    for (const { el, position } of this.labels) {
+      _world.copy(position).applyMatrix4(this.frame.matrixWorld);
+      // Hidden behind the Earth's disc (nadir is -Y)
+      const behindEarth = -_world.y / _world.length() > cosEarth;
+      _ndc.copy(_world).project(camera);
+      const onScreen = _ndc.z < 1 && Math.abs(_ndc.x) < 1 && Math.abs(_ndc.y) < 1;
+      if (hideAll || behindEarth || !onScreen) {
+        el.style.display = 'none';
+        continue;
+      }
+      const x = (_ndc.x * 0.5 + 0.5) * width + LABEL_OFFSET_PX;
+      const y = (-_ndc.y * 0.5 + 0.5) * height - LABEL_OFFSET_PX;
+      el.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)`;
+      el.style.display = 'block';
+    }
+  }
+}
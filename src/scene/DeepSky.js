@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import { DEEP_SKY_OBJECTS } from '../simulation/deepSky.js';
+
+const MILKY_WAY_RADIUS = 149900; // just inside the starfield (150,000 km)
+const SPRITE_RADIUS = 149700;
+const MILKY_WAY_INTENSITY = 1.6; // the texture is mastered very dark
+const GLARE_INNER_DEG = 8; // fully washed out this close to the sun
+const GLARE_OUTER_DEG = 45; // unaffected beyond
+
+// J2000 equatorial → galactic (IAU 1958 pole and node, Hipparcos vol. 1)
+const EQUATORIAL_TO_GALACTIC = new THREE.Matrix3().set(
+  -0.0548755604, -0.8734370902, -0.4838350155,
+  0.4941094279, -0.4448296300, 0.7469822445,
+  -0.8676661490, -0.1980763734, 0.4559837762,
+);
+
+const _inverse = new THREE.Matrix4();
+const _sunLocal = new THREE.Vector3();
+
+// Glare shared by the Milky Way shader (per pixel) and the sprites (per object)
+const GLARE_GLSL = `
+  float glareFade(vec3 dir) {
+    float angle = degrees(acos(clamp(dot(normalize(dir), sunLocal), -1.0, 1.0)));
+    return mix(1.0, smoothstep(${GLARE_INNER_DEG.toFixed(1)}, ${GLARE_OUTER_DEG.toFixed(1)}, angle), sunVisible);
+  }
+`;
+
+/**
+ * Deep-sky background in the star catalog's frame: the Milky Way texture
+ * (galactic equirectangular, galactic center in the middle, south up) mapped
+ * through the galactic pole, and soft sprites for a few bright objects.
+ * Everything fades with the daytime sky and near the sun.
+ */
+export class DeepSky {
+  constructor(frame, loadingManager) {
+    this.frame = frame;
+
+    const texture = new THREE.TextureLoader(loadingManager).load('/textures/2k_stars_milky_way.jpg');
+    texture.colorSpace = THREE.SRGBColorSpace;
+    // No mipmaps: the longitude seam would pick a tiny mip level and draw a line
+    texture.generateMipmaps = false;
+    texture.minFilter = THREE.LinearFilter;
+    texture.wrapS = THREE.RepeatWrapping;
+
+    this.uniforms = {
+      sunLocal: { value: new THREE.Vector3(1, 0, 0) },
+      sunVisible: { value: 1 },
+      skyFade: { value: 1 },
+    };
+
+    this.milkyWayMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        ...this.uniforms,
+        milkyWay: { value: texture },
+        intensity: { value: MILKY_WAY_INTENSITY },
+        equatorialToGalactic: { value: EQUATORIAL_TO_GALACTIC },
+      },
+      vertexShader: `
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+        varying vec3 vCatalogDir;
+        void main() {
+          vCatalogDir = position;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          #include <logdepthbuf_vertex>
+        }
+      `,
+      fragmentShader: `
+        #include <common>
+        #include <logdepthbuf_pars_fragment>
+        uniform sampler2D milkyWay;
+        uniform float intensity;
+        uniform float skyFade;
+        uniform float sunVisible;
+        uniform vec3 sunLocal;
+        uniform mat3 equatorialToGalactic;
+        varying vec3 vCatalogDir;
+        ${GLARE_GLSL}
+        void main() {
+          #include <logdepthbuf_fragment>
+          // Catalog axes (x → RA 0h, y → north, z → RA 18h) → equatorial → galactic
+          vec3 d = normalize(vCatalogDir);
+          vec3 g = equatorialToGalactic * vec3(d.x, -d.z, d.y);
+          float l = atan(g.y, g.x);
+          float b = asin(clamp(g.z, -1.0, 1.0));
+          // Longitude grows to the left; the texture has galactic south at the top
+          vec2 uv = vec2(fract(0.5 - l / (2.0 * PI)), 0.5 - b / PI);
+          vec3 color = texture2D(milkyWay, uv).rgb * intensity * skyFade * glareFade(vCatalogDir);
+          gl_FragColor = vec4(color, 1.0);
+          #include <colorspace_fragment>
+        }
+      `,
+      side: THREE.BackSide,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    const sphere = new THREE.Mesh(new THREE.SphereGeometry(MILKY_WAY_RADIUS, 64, 32), this.milkyWayMaterial);
+    sphere.renderOrder = -2; // behind the stars; the sky dome's alpha covers it by day
+    sphere.frustumCulled = false;
+    frame.add(sphere);
+
+    this.sprites = DEEP_SKY_OBJECTS.map((obj) => this._createSprite(obj));
+  }
+
+  _createSprite(obj) {
+    const [major, minor] = obj.sizeDeg;
+    const cosDec = Math.cos(obj.declination);
+    const dir = new THREE.Vector3(
+      cosDec * Math.cos(obj.rightAscension),
+      Math.sin(obj.declination),
+      -cosDec * Math.sin(obj.rightAscension),
+    );
+    // Tangent plane: north toward the pole, east toward increasing RA
+    const north = new THREE.Vector3(0, 1, 0).addScaledVector(dir, -dir.y).normalize();
+    const east = new THREE.Vector3(-Math.sin(obj.rightAscension), 0, -Math.cos(obj.rightAscension));
+    const pa = obj.positionAngleDeg * THREE.MathUtils.DEG2RAD;
+    const up = north.clone().multiplyScalar(Math.cos(pa)).addScaledVector(east, Math.sin(pa));
+    const normal = dir.clone().negate(); // facing the camera at the center
+    const right = new THREE.Vector3().crossVectors(up, normal);
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        ...this.uniforms,
+        color: { value: new THREE.Color(...obj.color) },
+        brightness: { value: obj.brightness },
+        cluster: { value: obj.type === 'cluster' ? 1 : 0 },
+        catalogDir: { value: dir.clone() },
+      },
+      vertexShader: `
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          #include <logdepthbuf_vertex>
+        }
+      `,
+      fragmentShader: `
+        #include <logdepthbuf_pars_fragment>
+        uniform vec3 color;
+        uniform float brightness;
+        uniform float cluster;
+        uniform float skyFade;
+        uniform float sunVisible;
+        uniform vec3 sunLocal;
+        uniform vec3 catalogDir;
+        varying vec2 vUv;
+        ${GLARE_GLSL}
+        void main() {
+          #include <logdepthbuf_fragment>
+          // Elliptical glow: bright core for galaxies, flat haze for the cluster's nebulosity
+          float r = length(vUv - 0.5) * 2.0;
+          float core = exp(-r * r * mix(6.0, 3.0, cluster));
+          float glow = core * (1.0 - smoothstep(0.7, 1.0, r));
+          gl_FragColor = vec4(color * glow * brightness * skyFade * glareFade(catalogDir), 1.0);
+        }
+      `,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      toneMapped: false,
+      side: THREE.DoubleSide,
+    });
+
+    const width = 2 * SPRITE_RADIUS * Math.tan((minor * THREE.MathUtils.DEG2RAD) / 2);
+    const height = 2 * SPRITE_RADIUS * Math.tan((major * THREE.MathUtils.DEG2RAD) / 2);
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+    mesh.matrixAutoUpdate = false;
+    mesh.matrix.makeBasis(right, up, normal).setPosition(dir.multiplyScalar(SPRITE_RADIUS));
+    mesh.renderOrder = -2;
+    mesh.frustumCulled = false;
+    this.frame.add(mesh);
+    return mesh;
+  }
+
+  /**
+   * @param {number} skyBlend - daytime sky opacity (Sky.blendFactor: getSkyBlendFactor
+   *   for the altitude, dimmed by the sun's elevation)
+   * @param {THREE.Vector3} sunDirection - world-space unit vector toward the sun
+   * @param {boolean} sunVisible - false while the Earth hides the sun
+   */
+  update(skyBlend, sunDirection, sunVisible) {
+    this.frame.updateWorldMatrix(true, false);
+    _inverse.copy(this.frame.matrixWorld).invert();
+    _sunLocal.copy(sunDirection).transformDirection(_inverse);
+    this.uniforms.sunLocal.value.copy(_sunLocal);
+    this.uniforms.sunVisible.value = sunVisible ? 1 : 0;
+    this.uniforms.skyFade.value = 1 - skyBlend;
+  }
+}
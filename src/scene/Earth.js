@@ -1,29 +1,23 @@
 import * as THREE from 'three';
-import { EARTH_RADIUS, ANCHOR_LAT, ANCHOR_LON, ANCHOR_LON_RAD, ATMO_THICKNESS } from '../constants.js';
-import { getAtmosphereOpacity, getGroundPlaneOpacity } from '../simulation/physics.js';
-import { loadRegionalTexture } from '../loaders/TileLoader.js';
+import { EARTH_RADIUS } from '../constants.js';
+import { getAnchor, getEarthRotation } from '../simulation/anchor.js';
+import { EarthTiles } from './EarthTiles.js';
 import { quality } from '../QualitySettings.js';
 
-// Offset above Earth surface (km) to avoid z-fighting with the day mesh
-// 0.005 km = 5m, sits below the 10m ground station platform
-const PATCH_ALTITUDE_OFFSET = 0.005;
+const CLOUD_ALTITUDE = 10; // km — clears the night-lights shell and surface tessellation
+const CLOUD_FADE_END = 30; // clouds fade in above the deck instead of popping on
+const CLOUD_DRIFT_DAYS = 30; // one eastward lap of the texture
+const CLOUD_SHADOW_STRENGTH = 0.6;
+const WATER_ROUGHNESS = 0.3; // wind-roughened sea: a broad glint rather than a mirror image
+const MS_PER_DAY = 86_400_000;
 
-export class Earth {
-  // Shared onBeforeCompile hook: boosts dark ocean albedo so it's
-  // visible blue in sunlight but black on the unlit night side.
-  static _oceanBoostCompile(shader) {
-    shader.fragmentShader = shader.fragmentShader.replace(
-      '#include <map_fragment>',
-      `#include <map_fragment>
-       {
-         float isOcean = step(diffuseColor.b, 0.008) * step(diffuseColor.r, diffuseColor.b) * step(diffuseColor.g, diffuseColor.b);
-         diffuseColor.rgb = mix(diffuseColor.rgb, diffuseColor.rgb * 5.0 + vec3(0.002, 0.004, 0.015), isOcean);
-       }`
-    );
-  }
+const _sunLocal = new THREE.Vector3();
+const _inverseRotation = new THREE.Quaternion();
 
-  constructor(scene, loadingManager) {
+export class Earth {
+  constructor(scene, loadingManager, anchor = getAnchor()) {
     this.scene = scene;
+    this.anchor = anchor;
     this.group = new THREE.Group();
     scene.add(this.group);
 
@@ -36,14 +30,17 @@ export class Earth {
     dayMap.colorSpace = THREE.SRGBColorSpace;
     dayMap.anisotropy = quality.anisotropy;
 
+    // Water mask (white = water), shared by the globe and the surface tiles
+    const waterMask = texLoader.load('/textures/2k_earth_specular_map.jpg');
+    waterMask.wrapS = THREE.RepeatWrapping;
+    this.waterUniforms = {
+      waterMask: { value: waterMask },
+    };
+
     this.earthMaterial = new THREE.MeshStandardMaterial({
       map: dayMap,
     });
-
-    // Boost dark ocean pixels in the albedo so the effect is lighting-dependent:
-    // day side: boosted albedo × sunlight = visible blue
-    // night side: boosted albedo × 0 = black
-    this.earthMaterial.onBeforeCompile = Earth._oceanBoostCompile;
+    this._setupSurfaceMaterial(this.earthMaterial);
 
     this.earthMesh = new THREE.Mesh(earthGeo, this.earthMaterial);
     this.group.add(this.earthMesh);
@@ -102,110 +99,123 @@ export class Earth {
     this.nightMesh = new THREE.Mesh(nightGeo, this.nightMaterial);
     this.group.add(this.nightMesh);
 
-    // Atmosphere glow (Fresnel-based)
-    const atmoGeo = new THREE.SphereGeometry(EARTH_RADIUS + ATMO_THICKNESS, segs, segs);
-    this.atmosphereMaterial = new THREE.ShaderMaterial({
-      uniforms: {
-        glowColor: { value: new THREE.Color(0.3, 0.6, 1.0) },
-        opacity: { value: 0.0 },
-      },
-      vertexShader: `
-        varying vec3 vNormal;
-        varying vec3 vPosition;
-        void main() {
-          vNormal = normalize(normalMatrix * normal);
-          vPosition = (modelViewMatrix * vec4(position, 1.0)).xyz;
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-      `,
-      fragmentShader: `
-        uniform vec3 glowColor;
-        uniform float opacity;
-        varying vec3 vNormal;
-        varying vec3 vPosition;
-        void main() {
-          vec3 viewDir = normalize(-vPosition);
-          // Flip normal for BackSide
-          vec3 normal = -normalize(vNormal);
-          float rim = 1.0 - max(dot(viewDir, normal), 0.0);
-
-          // Blend two Fresnel layers for a soft gradual falloff:
-          // - Tight inner band (bright limb glow)
-          // - Wide outer haze (subtle fade into space)
-          float innerGlow = pow(rim, 4.0) * 1.2;
-          float outerHaze = pow(rim, 1.5) * 0.25;
-          float glow = innerGlow + outerHaze;
-
-          // Color gradient: brighter/whiter near the limb, deeper blue further out
-          vec3 limbColor = vec3(0.55, 0.75, 1.0);
-          vec3 color = mix(glowColor, limbColor, pow(rim, 3.0));
-
-          gl_FragColor = vec4(color, glow * opacity);
-        }
-      `,
+    // Cloud layer — the texture is the alpha; lit by the sun light like the
+    // surface, so it goes dark (and hides city lights) on the night side
+    const cloudMap = texLoader.load('/textures/2k_earth_clouds.jpg');
+    cloudMap.wrapS = THREE.RepeatWrapping;
+    this.cloudMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      alphaMap: cloudMap,
       transparent: true,
-      side: THREE.BackSide,
       depthWrite: false,
-      blending: THREE.AdditiveBlending,
+      roughness: 1.0,
+      metalness: 0.0,
     });
-    this.atmosphereMesh = new THREE.Mesh(atmoGeo, this.atmosphereMaterial);
-    this.group.add(this.atmosphereMesh);
-
-    // Regional high-res spherical patch (created async when tiles load)
-    this.regionalPatch = null;
-    this.regionalMaterial = null;
-
-    if (quality.loadRegionalTiles) {
-      loadingManager.itemStart('regional-tiles');
-      loadRegionalTexture(ANCHOR_LAT, ANCHOR_LON).then((result) => {
-        if (result) {
-          this._createRegionalPatch(result);
-        }
-        loadingManager.itemEnd('regional-tiles');
-      }).catch(() => {
-        loadingManager.itemEnd('regional-tiles');
-      });
-    }
+    this.cloudMesh = new THREE.Mesh(
+      new THREE.SphereGeometry(EARTH_RADIUS + CLOUD_ALTITUDE, segs, segs),
+      this.cloudMaterial,
+    );
+    this.cloudMesh.renderOrder = 2; // over the surface tiles
+    this.group.add(this.cloudMesh);
+    this.cloudsVisible = true;
+
+    // Shared by the surface materials' shadow lookup
+    this.cloudShadowUniforms = {
+      cloudShadowMap: { value: cloudMap },
+      cloudSunDirection: { value: new THREE.Vector3(0, 1, 0) },
+      cloudDrift: { value: 0 },
+      cloudShadowStrength: { value: CLOUD_SHADOW_STRENGTH },
+    };
+
+    // Streamed high-res tiles over the globe, finer toward the cabin
+    this.tiles = quality.loadRegionalTiles
+      ? new EarthTiles(this.group, (map, offset) => {
+        const material = new THREE.MeshStandardMaterial({ map });
+        this._setupSurfaceMaterial(material, offset);
+        return material;
+      })
+      : null;
   }
 
   /**
-   * Create a spherical patch geometry that overlays the Earth sphere
-   * with high-res regional satellite tiles.
+   * Shared surface shading for the globe and the surface tiles, keyed to the
+   * globe's own frame so all of them read the same global maps:
+   * - water mask: brightens the dark ocean albedo (blue in sunlight, black at
+   *   night) and, where the quality tier allows, lowers the roughness so the
+   *   sun light's specular lobe becomes a glint that tracks across the sea
+   * - soft cloud shadows: follow the sun ray up to the cloud deck, read a
+   *   blurred mip of the cloud map there and dim the direct light
    */
-  _createRegionalPatch({ texture, alphaMap, bounds }) {
-    const { latMin, latMax, lonMin, lonMax } = bounds;
-
-    // Convert geographic bounds to Three.js SphereGeometry parameters.
-    // Three.js SphereGeometry: phi = azimuthal (longitude), theta = polar (from +Y pole).
-    // phi mapping: lon=-180° → phi=0, lon=180° → phi=2π
-    const phiStart = (lonMin + 180) * Math.PI / 180;
-    const phiLength = (lonMax - lonMin) * Math.PI / 180;
-    // theta mapping: lat=90° → theta=0 (north pole), lat=-90° → theta=π (south pole)
-    const thetaStart = (90 - latMax) * Math.PI / 180;
-    const thetaLength = (latMax - latMin) * Math.PI / 180;
-
-    const patchGeo = new THREE.SphereGeometry(
-      EARTH_RADIUS + PATCH_ALTITUDE_OFFSET,
-      64, 64,
-      phiStart, phiLength,
-      thetaStart, thetaLength
-    );
+  _setupSurfaceMaterial(material, offset = new THREE.Vector3()) {
+    if (quality.oceanGlint) material.defines = { ...material.defines, OCEAN_GLINT: '' };
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, this.waterUniforms, this.cloudShadowUniforms, {
+        globeOffset: { value: offset },
+      });
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          uniform vec3 globeOffset; // mesh origin in the globe's frame
+          varying vec3 vGlobePosition;`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+          vGlobePosition = position + globeOffset;`);
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+          uniform sampler2D waterMask;
+          uniform sampler2D cloudShadowMap;
+          uniform vec3 cloudSunDirection;
+          uniform float cloudDrift;
+          uniform float cloudShadowStrength;
+          varying vec3 vGlobePosition;
+
+          // Longitude/latitude texture coordinates in SphereGeometry's layout.
+          // Tarini's trick: of two longitude ranges, use the one without a
+          // wrap inside this pixel, so mip selection sees no seam.
+          vec2 globeUv(vec3 p) {
+            float lon = atan(p.z, -p.x) / (2.0 * PI);
+            float u1 = fract(lon);
+            float u2 = fract(lon + 0.5) - 0.5;
+            float u = fwidth(u1) < fwidth(u2) - 0.001 ? u1 : u2;
+            return vec2(u, asin(clamp(p.y, -1.0, 1.0)) / PI + 0.5);
+          }`)
+        .replace('#include <map_fragment>', `#include <map_fragment>
+          float water = texture2D(waterMask, globeUv(normalize(vGlobePosition))).g;
+          {
+            // The mask is coarser than the imagery: only boost pixels that are dark like water
+            float brightness = max(diffuseColor.r, max(diffuseColor.g, diffuseColor.b));
+            float ocean = water * (1.0 - smoothstep(0.02, 0.08, brightness));
+            diffuseColor.rgb = mix(diffuseColor.rgb, diffuseColor.rgb * 5.0 + vec3(0.002, 0.004, 0.015), ocean);
+          }`)
+        .replace('#include <roughnessmap_fragment>', `#include <roughnessmap_fragment>
+          #ifdef OCEAN_GLINT
+            roughnessFactor = mix(roughnessFactor, ${WATER_ROUGHNESS.toFixed(2)}, water);
+          #endif`)
+        .replace('#include <lights_fragment_end>', `#include <lights_fragment_end>
+          {
+            vec3 p = normalize(vGlobePosition);
+            float mu = dot(p, cloudSunDirection);
+            if (mu > 0.0 && cloudShadowStrength > 0.0) {
+              vec3 q = normalize(p + (cloudSunDirection - p * mu) * (${(CLOUD_ALTITUDE / EARTH_RADIUS).toExponential(4)} / max(mu, 0.1)));
+              vec2 cloudUv = vec2(fract(atan(q.z, -q.x) / (2.0 * PI) + cloudDrift), asin(clamp(q.y, -1.0, 1.0)) / PI + 0.5);
+              float shadow = 1.0 - cloudShadowStrength * textureLod(cloudShadowMap, cloudUv, 3.0).g;
+              reflectedLight.directDiffuse *= shadow;
+              reflectedLight.directSpecular *= shadow;
+            }
+          }`);
+    };
+  }
 
-    this.regionalMaterial = new THREE.MeshStandardMaterial({
-      map: texture,
-      alphaMap: alphaMap,
-      transparent: true,
-      opacity: 1.0,
-      depthWrite: false,
-      roughness: 0.8,
-      metalness: 0.0,
-    });
-    this.regionalMaterial.onBeforeCompile = Earth._oceanBoostCompile;
-    this.regionalMaterial.renderOrder = 1;
+  /**
+   * Move the anchor: the globe re-orients on the next update and the surface
+   * tiles follow the new sub-cabin point.
+   */
+  setAnchor(anchor) {
+    this.anchor = anchor;
+  }
 
-    this.regionalPatch = new THREE.Mesh(patchGeo, this.regionalMaterial);
-    this.regionalPatch.renderOrder = 1;
-    this.group.add(this.regionalPatch);
+  /** Show or hide the cloud layer and its shadows (the cloud-free look). */
+  setCloudsVisible(visible) {
+    this.cloudsVisible = visible;
+    this.cloudShadowUniforms.cloudShadowStrength.value = visible ? CLOUD_SHADOW_STRENGTH : 0;
   }
 
   /**
@@ -213,15 +223,16 @@ export class Earth {
    * @param {number} altitudeKm - current altitude above surface
    * @param {number} deltaTime - time since last frame in seconds
    * @param {THREE.Vector3} sunDirection - normalized world-space sun direction
+   * @param {number} simDateMs - simulated UTC time, drives the cloud drift
+   * @param {THREE.Vector3} cameraPosition - world-space camera position, picks the tile detail
    */
-  update(altitudeKm, deltaTime, sunDirection) {
+  update(altitudeKm, deltaTime, sunDirection, simDateMs, cameraPosition) {
     const distFromCenter = EARTH_RADIUS + altitudeKm;
     this.group.position.set(0, -distFromCenter, 0);
 
     // Rotate Earth so anchor point faces upward (toward camera)
-    this.earthMesh.rotation.set(0, 0, 0);
-    this.earthMesh.rotation.y = -(ANCHOR_LON_RAD + Math.PI / 2);
-    this.earthMesh.rotation.x = -Math.PI / 2;
+    const { x, y } = getEarthRotation(this.anchor);
+    this.earthMesh.rotation.set(x, y, 0);
 
     // Night overlay follows same rotation
     this.nightMesh.rotation.copy(this.earthMesh.rotation);
@@ -231,21 +242,21 @@ export class Earth {
       this.nightMaterial.uniforms.sunDirection.value.copy(sunDirection);
     }
 
-    // Atmosphere mesh follows Earth
-    this.atmosphereMesh.rotation.copy(this.earthMesh.rotation);
-
-    // Update atmosphere visibility
-    const atmoOpacity = getAtmosphereOpacity(altitudeKm);
-    this.atmosphereMaterial.uniforms.opacity.value = atmoOpacity;
-
-    // Regional patch — follows Earth rotation, fades with altitude
-    if (this.regionalPatch) {
-      this.regionalPatch.rotation.copy(this.earthMesh.rotation);
-      const patchOpacity = getGroundPlaneOpacity(altitudeKm);
-      this.regionalPatch.visible = patchOpacity > 0;
-      if (this.regionalPatch.visible) {
-        this.regionalMaterial.opacity = patchOpacity;
-      }
+    // Clouds: slow eastward drift over simulated time (texture offset shifts
+    // the image west, hence the minus), faded in above the deck
+    this.cloudMesh.rotation.copy(this.earthMesh.rotation);
+    const drift = (simDateMs / (CLOUD_DRIFT_DAYS * MS_PER_DAY)) % 1;
+    this.cloudMaterial.alphaMap.offset.x = -drift;
+    const cloudFade = THREE.MathUtils.smoothstep(altitudeKm, CLOUD_ALTITUDE, CLOUD_FADE_END);
+    this.cloudMesh.visible = this.cloudsVisible && cloudFade > 0;
+    this.cloudMaterial.opacity = cloudFade;
+    this.cloudShadowUniforms.cloudDrift.value = -drift;
+    if (sunDirection) {
+      _inverseRotation.copy(this.earthMesh.quaternion).invert();
+      this.cloudShadowUniforms.cloudSunDirection.value.copy(_sunLocal.copy(sunDirection).applyQuaternion(_inverseRotation));
     }
+
+    // Surface tiles follow the globe and refine toward the camera
+    if (this.tiles && cameraPosition) this.tiles.update(this.earthMesh.rotation, cameraPosition);
   }
 }
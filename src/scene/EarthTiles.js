@@ -0,0 +1,330 @@
+import * as THREE from 'three';
+import { EARTH_RADIUS } from '../constants.js';
+import { fetchTile, getTileMaxZoom, tileToLat, tileToLon } from '../loaders/TileLoader.js';
+import { fetchElevation, sampleElevation } from '../loaders/ElevationLoader.js';
+import { setGlobeDirection } from '../simulation/anchor.js';
+import { quality } from '../QualitySettings.js';
+
+// Coarsest tiles drawn: zoom 5 is ~5 km per texel, about the 8K globe's own
+// resolution, so the globe stands in for everything coarser
+const ROOT_ZOOM = 5;
+const TILE_SEGMENTS = 32;
+// Offset above Earth surface (km) to avoid z-fighting with the globe
+// 0.005 km = 5m, sits below the 10m ground station platform
+const SURFACE_OFFSET = 0.005;
+// Split a tile while the camera is closer than this many tile diagonals:
+// keeps a 256-pixel tile's texels near one screen pixel
+const SPLIT_RATIO = 2;
+// Above this nothing splits past the root level, and the globe alone is as sharp
+const MAX_ALTITUDE = 4000;
+const MAX_CONCURRENT = 8;
+const MAX_CACHED_TILES = 256;
+// Relief: the tallest peaks rise over the geometric horizon (Chimborazo's
+// summit shows from ~280 km), and skirts reach below the deepest seam
+const TERRAIN_MAX_HEIGHT = 9; // km
+const SKIRT_DEPTH = 2; // km
+const RETRY_MS = 30000; // a failed tile is asked for again after this (network back, pack index in)
+
+const TERRAIN_HORIZON = Math.acos(EARTH_RADIUS / (EARTH_RADIUS + TERRAIN_MAX_HEIGHT));
+
+const _camera = new THREE.Vector3();
+const _cameraDir = new THREE.Vector3();
+const _corner = new THREE.Vector3();
+
+function createNode(z, x, y) {
+  const lonW = tileToLon(x, z) * THREE.MathUtils.DEG2RAD;
+  const lonE = tileToLon(x + 1, z) * THREE.MathUtils.DEG2RAD;
+  const latN = tileToLat(y, z) * THREE.MathUtils.DEG2RAD;
+  const latS = tileToLat(y + 1, z) * THREE.MathUtils.DEG2RAD;
+  const latMid = tileToLat(y + 0.5, z) * THREE.MathUtils.DEG2RAD;
+  const lonMid = (lonW + lonE) / 2;
+  const center = setGlobeDirection(new THREE.Vector3(), latMid, lonMid).multiplyScalar(EARTH_RADIUS);
+
+  // Bounding sphere around the tile's corners and edge midpoints
+  let radius = 0;
+  for (const lat of [latN, latMid, latS]) {
+    for (const lon of [lonW, lonMid, lonE]) {
+      setGlobeDirection(_corner, lat, lon).multiplyScalar(EARTH_RADIUS);
+      radius = Math.max(radius, _corner.distanceTo(center));
+    }
+  }
+
+  return {
+    z, x, y,
+    bounds: { lonW, lonE, latN, latS },
+    center,
+    radius,
+    direction: center.clone().normalize(),
+    children: null,
+    state: null, // 'loading' | 'ready' | 'failed'
+    mesh: null,
+    distance: Infinity,
+    lastUsed: 0,
+    failedAt: 0,
+  };
+}
+
+/**
+ * Chunked level-of-detail surface over the globe: a quadtree of Web Mercator
+ * tiles that splits toward the camera, so the ground stays sharp from sea level
+ * to a few thousand km. A tile keeps drawing until all its visible children
+ * have loaded; where nothing has loaded yet (and beyond Mercator's ±85°) the
+ * globe underneath shows through.
+ *
+ * Where the optional DEM pack covers a tile, its vertices rise to the terrain
+ * height (true vertical scale) and its normals follow the slopes, so nearby
+ * mountains light correctly and stand against the sky at low altitude.
+ *
+ * Tiles live in the globe's object frame (this.group follows its rotation),
+ * each positioned at its own center so vertices keep float precision near the
+ * ground.
+ */
+export class EarthTiles {
+  /**
+   * @param {THREE.Object3D} parent - the Earth group
+   * @param {(map: THREE.Texture, offset: THREE.Vector3) => THREE.Material} createMaterial -
+   *   surface material for a tile, given its imagery and its center in the globe's frame
+   */
+  constructor(parent, createMaterial) {
+    this.group = new THREE.Group();
+    parent.add(this.group);
+    this.createMaterial = createMaterial;
+
+    this.roots = [];
+    const n = 2 ** ROOT_ZOOM;
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) this.roots.push(createNode(ROOT_ZOOM, x, y));
+    }
+
+    this.cached = new Set(); // nodes holding a mesh
+    this.drawn = [];
+    this.queue = [];
+    this.inFlight = 0;
+    this.frame = 0;
+  }
+
+  _children(node) {
+    if (!node.children) {
+      const z = node.z + 1;
+      const x = node.x * 2;
+      const y = node.y * 2;
+      node.children = [
+        createNode(z, x, y), createNode(z, x + 1, y),
+        createNode(z, x, y + 1), createNode(z, x + 1, y + 1),
+      ];
+    }
+    return node.children;
+  }
+
+  /**
+   * Collect the tiles to draw under `node` into `out`.
+   * @returns {boolean} true if the visible part of the tile is fully covered
+   */
+  _traverse(node, out) {
+    node.lastUsed = this.frame;
+    node.distance = Math.max(node.center.distanceTo(_camera) - node.radius, 0);
+
+    const split = node.z < this.maxZoom && node.distance < SPLIT_RATIO * 2 * node.radius;
+    // An unsplit root is no sharper than the globe underneath
+    if (!split && node.z === ROOT_ZOOM) return true;
+
+    if (split) {
+      const drawn = [];
+      let covered = true;
+      for (const child of this._children(node)) {
+        if (!this._isVisible(child)) continue;
+        if (!this._traverse(child, drawn)) covered = false;
+      }
+      // Split roots load too, so a coarse cover arrives first
+      if (node.z === ROOT_ZOOM) this._request(node);
+      if (covered || node.state !== 'ready') {
+        out.push(...drawn);
+        return covered;
+      }
+      out.push(node);
+      return true;
+    }
+
+    this._request(node);
+    if (node.state !== 'ready') return false;
+    out.push(node);
+    return true;
+  }
+
+  // Above the horizon as seen from the camera, padded by the tile's own extent
+  // and by how far past the horizon the highest terrain still shows
+  _isVisible(node) {
+    return node.direction.dot(_cameraDir) >= Math.cos(Math.min(this.horizonAngle + node.radius / EARTH_RADIUS, Math.PI));
+  }
+
+  _request(node) {
+    if (node.state === 'failed' && performance.now() - node.failedAt > RETRY_MS) node.state = null;
+    if (node.state === null) this.queue.push(node);
+  }
+
+  /** Start the nearest queued fetches, up to the concurrency limit. */
+  _pump() {
+    this.queue.sort((a, b) => a.distance - b.distance);
+    for (const node of this.queue) {
+      if (this.inFlight >= MAX_CONCURRENT) break;
+      node.state = 'loading';
+      this.inFlight++;
+      Promise.all([
+        fetchTile(node.z, node.x, node.y),
+        fetchElevation(node.z, node.x, node.y),
+      ]).then(([bitmap, elevation]) => {
+        this.inFlight--;
+        if (bitmap) {
+          this._createMesh(node, bitmap, elevation);
+          node.state = 'ready';
+        } else {
+          node.state = 'failed';
+          node.failedAt = performance.now();
+        }
+      });
+    }
+    this.queue.length = 0;
+  }
+
+  _createMesh(node, bitmap, elevation) {
+    const { lonW, lonE, latN, latS } = node.bounds;
+    const S = TILE_SEGMENTS;
+    const gridCount = (S + 1) * (S + 1);
+    // Relief tiles hang a skirt from each edge to hide cracks against
+    // neighbours of another zoom, whose edge heights differ
+    const count = elevation ? gridCount + 4 * (S + 1) : gridCount;
+    // Lift the vertices so the flat facets clear the true sphere between them
+    const halfSegment = Math.max(lonE - lonW, latN - latS) / S / 2;
+    const radius = (EARTH_RADIUS + SURFACE_OFFSET) / Math.cos(halfSegment) ** 2;
+
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    const uvs = new Float32Array(count * 2);
+    const up = new THREE.Vector3();
+    // Rows are even steps in Mercator y, so the imagery maps linearly
+    for (let j = 0, i3 = 0, i2 = 0; j <= S; j++) {
+      const lat = tileToLat(node.y + j / S, node.z) * THREE.MathUtils.DEG2RAD;
+      for (let i = 0; i <= S; i++, i3 += 3, i2 += 2) {
+        setGlobeDirection(up, lat, lonW + (lonE - lonW) * (i / S));
+        const r = elevation
+          ? radius + sampleElevation(elevation, node.z, node.x + i / S, node.y + j / S) / 1000
+          : radius;
+        normals[i3] = up.x;
+        normals[i3 + 1] = up.y;
+        normals[i3 + 2] = up.z;
+        positions[i3] = up.x * r - node.center.x;
+        positions[i3 + 1] = up.y * r - node.center.y;
+        positions[i3 + 2] = up.z * r - node.center.z;
+        uvs[i2] = i / S;
+        uvs[i2 + 1] = j / S; // ImageBitmaps upload unflipped: row 0 is the north edge
+      }
+    }
+    // Same winding as SphereGeometry (rows north to south, columns eastward)
+    const indices = [];
+    for (let j = 0; j < S; j++) {
+      for (let i = 0; i < S; i++) {
+        const a = j * (S + 1) + i + 1;
+        const b = j * (S + 1) + i;
+        const c = (j + 1) * (S + 1) + i;
+        const d = (j + 1) * (S + 1) + i + 1;
+        indices.push(a, b, d, b, c, d);
+      }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+
+    if (elevation) {
+      // Lighting follows the slopes; the skirts then copy their edge's normals
+      geometry.computeVertexNormals();
+      const edges = [
+        (k) => k, // north
+        (k) => k * (S + 1) + S, // east
+        (k) => S * (S + 1) + k, // south
+        (k) => k * (S + 1), // west
+      ];
+      let skirt = gridCount;
+      for (const edge of edges) {
+        for (let k = 0; k <= S; k++, skirt++) {
+          const e = edge(k);
+          up.set(positions[e * 3], positions[e * 3 + 1], positions[e * 3 + 2]).add(node.center);
+          up.setLength(up.length() - SKIRT_DEPTH).sub(node.center);
+          positions.set([up.x, up.y, up.z], skirt * 3);
+          normals.copyWithin(skirt * 3, e * 3, e * 3 + 3);
+          uvs.copyWithin(skirt * 2, e * 2, e * 2 + 2);
+          if (k < S) {
+            // Both windings: which side faces out depends on the edge
+            const next = edge(k + 1);
+            indices.push(e, skirt, next, next, skirt, skirt + 1);
+            indices.push(e, next, skirt, next, skirt + 1, skirt);
+          }
+        }
+      }
+      geometry.setIndex(indices);
+    }
+
+    const texture = new THREE.Texture(bitmap);
+    texture.flipY = false;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = quality.anisotropy;
+    texture.needsUpdate = true;
+
+    node.mesh = new THREE.Mesh(geometry, this.createMaterial(texture, node.center));
+    node.mesh.position.copy(node.center);
+    node.mesh.visible = false;
+    this.group.add(node.mesh);
+    this.cached.add(node);
+  }
+
+  _disposeMesh(node) {
+    const { mesh } = node;
+    this.group.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.map.dispose();
+    mesh.material.map.image.close();
+    mesh.material.dispose();
+    node.mesh = null;
+    node.state = null;
+    this.cached.delete(node);
+  }
+
+  // Drop the least recently used tiles this frame didn't need
+  _evict() {
+    if (this.cached.size <= MAX_CACHED_TILES) return;
+    const idle = [...this.cached]
+      .filter((node) => node.lastUsed < this.frame)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const node of idle.slice(0, this.cached.size - MAX_CACHED_TILES)) {
+      this._disposeMesh(node);
+    }
+  }
+
+  /**
+   * Pick and show the tiles for this frame and queue the missing ones.
+   * @param {THREE.Euler} rotation - the globe's rotation
+   * @param {THREE.Vector3} cameraPosition - world-space camera position
+   */
+  update(rotation, cameraPosition) {
+    this.group.rotation.copy(rotation);
+    this.group.updateWorldMatrix(true, false);
+    this.group.worldToLocal(_camera.copy(cameraPosition));
+    const distance = _camera.length();
+
+    for (const node of this.drawn) node.mesh.visible = false;
+    this.drawn = [];
+    if (distance - EARTH_RADIUS > MAX_ALTITUDE) return;
+
+    this.frame++;
+    this.maxZoom = getTileMaxZoom();
+    _cameraDir.copy(_camera).divideScalar(distance);
+    this.horizonAngle = Math.acos(Math.min(EARTH_RADIUS / distance, 1)) + TERRAIN_HORIZON;
+    for (const root of this.roots) {
+      if (this._isVisible(root)) this._traverse(root, this.drawn);
+    }
+    for (const node of this.drawn) node.mesh.visible = true;
+    this._evict();
+    this._pump();
+  }
+}
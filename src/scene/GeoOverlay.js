@@ -0,0 +1,316 @@
+import * as THREE from 'three';
+import { EARTH_RADIUS } from '../constants.js';
+import { setGlobeDirection } from '../simulation/anchor.js';
+
+// Written by scripts/process-geo.mjs
+const DATA_URL = 'data/geography.geojson';
+
+const DENSIFY_DEG = 1; // longer segments are split so they follow the curve
+// Lines sit on the sphere and are pulled this fraction of their distance toward
+// the camera in depth, so terrain relief and the tiles' lift don't bury them
+const DEPTH_PULL = 0.98;
+const GRATICULE_STEP_DEG = 10;
+const MINOR_LABEL_ALTITUDE = 2000; // km; rank-2 places only below this
+const LABEL_OFFSET_PX = 6;
+const ANCHOR_MARK_SCALE = 0.015; // marker half-size as a fraction of altitude
+const RETICLE_SCALE = 0.03;
+const MIN_MARK_KM = 0.5;
+const RETICLE_SEGMENTS = 64;
+const TRACK_STEP_KM = 0.005; // sub-cabin point recorded after moving this far
+const TRACK_JUMP_KM = 50; // farther in one frame (an anchor switch) starts a new run
+const TRACK_MAX_SEGMENTS = 1024;
+
+const STYLES = {
+  coastline: { color: 0x9fd8ff, opacity: 0.8 },
+  border: { color: 0xffd27f, opacity: 0.6 },
+  graticule: { color: 0xffffff, opacity: 0.18 },
+  equator: { color: 0xff9966, opacity: 0.6 },
+  anchor: { color: 0xff7a3d, opacity: 1 },
+  track: { color: 0x7dffb0, opacity: 0.9 },
+};
+
+const DEG = THREE.MathUtils.DEG2RAD;
+const _world = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _ndc = new THREE.Vector3();
+const _nadir = new THREE.Vector3();
+const _zAxis = new THREE.Vector3(0, 0, 1);
+
+// Line shader: drops whatever is past the horizon (the globe alone would hide
+// it, but the depth pull lets lines just beyond the limb through)
+function createLineMaterial({ color, opacity }, earthCenter) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      color: { value: new THREE.Color(color) },
+      opacity: { value: opacity },
+      earthCenter,
+    },
+    vertexShader: `
+      #include <common>
+      #include <logdepthbuf_pars_vertex>
+      uniform vec3 earthCenter;
+      varying float vHorizon;
+      void main() {
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vHorizon = dot(normalize(worldPosition.xyz - earthCenter), cameraPosition - worldPosition.xyz);
+        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+        #include <logdepthbuf_vertex>
+        #ifdef USE_LOGARITHMIC_DEPTH_BUFFER
+          vFragDepth = 1.0 + gl_Position.w * ${DEPTH_PULL.toFixed(3)};
+        #endif
+      }
+    `,
+    fragmentShader: `
+      #include <logdepthbuf_pars_fragment>
+      uniform vec3 color;
+      uniform float opacity;
+      varying float vHorizon;
+      void main() {
+        #include <logdepthbuf_fragment>
+        if (vHorizon < 0.0) discard;
+        gl_FragColor = vec4(color, opacity);
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    toneMapped: false,
+  });
+}
+
+// [lon, lat] polylines (degrees) → segment pairs on the globe, split to DENSIFY_DEG
+function polylinesToSegments(lines, radius) {
+  const vertices = [];
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  for (const line of lines) {
+    for (let k = 1; k < line.length; k++) {
+      const [lon0, lat0] = line[k - 1];
+      let [lon1] = line[k];
+      const lat1 = line[k][1];
+      if (lon1 - lon0 > 180) lon1 -= 360; // across the antimeridian
+      else if (lon0 - lon1 > 180) lon1 += 360;
+      const steps = Math.max(1, Math.ceil(Math.max(Math.abs(lon1 - lon0), Math.abs(lat1 - lat0)) / DENSIFY_DEG));
+      setGlobeDirection(a, lat0 * DEG, lon0 * DEG).multiplyScalar(radius);
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        setGlobeDirection(b, (lat0 + (lat1 - lat0) * t) * DEG, (lon0 + (lon1 - lon0) * t) * DEG).multiplyScalar(radius);
+        vertices.push(a.x, a.y, a.z, b.x, b.y, b.z);
+        a.copy(b);
+      }
+    }
+  }
+  return vertices;
+}
+
+function graticuleLines() {
+  const meridians = [];
+  const parallels = [];
+  for (let lon = -180; lon < 180; lon += GRATICULE_STEP_DEG) {
+    meridians.push([[lon, -80], [lon, 80]]);
+  }
+  for (let lat = -80; lat <= 80; lat += GRATICULE_STEP_DEG) {
+    if (lat !== 0) parallels.push([[-180, lat], [-90, lat], [0, lat], [90, lat], [180, lat]]);
+  }
+  return [...meridians, ...parallels];
+}
+
+/**
+ * "What am I looking at?" map overlay on the globe: coastlines, country
+ * borders, a 10° graticule and the equator, labels for cities and landmarks,
+ * the anchor marker and the sub-cabin point with its ground track. The GeoJSON
+ * loads the first time the overlay is switched on.
+ *
+ * Lives in the globe's object frame (this.group follows its rotation); labels
+ * are HTML tags that shrink with altitude and hide past the horizon, and minor
+ * places only show up close. The cable is vertical, so the sub-cabin point sits
+ * on the anchor and the track only grows as the rider walks the cabin; an
+ * anchor switch starts a new run rather than a line across the map.
+ */
+export class GeoOverlay {
+  constructor(parent) {
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    parent.add(this.group);
+
+    this.visible = false;
+    this.loading = false;
+    this.labels = []; // { el, position (globe frame), rank }
+    this.labelLayer = document.getElementById('geo-labels');
+    this.earthCenter = { value: new THREE.Vector3() };
+
+    this._addLines(graticuleLines(), STYLES.graticule);
+    this._addLines([[[-180, 0], [-90, 0], [0, 0], [90, 0], [180, 0]]], STYLES.equator);
+
+    // Anchor: a diamond in the local horizontal plane, sized to the altitude
+    const diamond = new THREE.BufferGeometry().setFromPoints([
+      [1, 0], [0, 1], [0, 1], [-1, 0], [-1, 0], [0, -1], [0, -1], [1, 0],
+    ].map(([x, y]) => new THREE.Vector3(x, y, 0)));
+    this.anchorMark = new THREE.LineSegments(diamond, createLineMaterial(STYLES.anchor, this.earthCenter));
+    this.anchorMark.renderOrder = 3;
+    this.group.add(this.anchorMark);
+    this.anchorLabel = this._createLabel('', 'anchor');
+
+    // Sub-cabin point: a ring with ticks, plus the trail it has left on the ground
+    const ring = [];
+    for (let i = 0; i < RETICLE_SEGMENTS; i++) {
+      const a0 = (i / RETICLE_SEGMENTS) * Math.PI * 2;
+      const a1 = ((i + 1) / RETICLE_SEGMENTS) * Math.PI * 2;
+      ring.push(new THREE.Vector3(Math.cos(a0), Math.sin(a0), 0), new THREE.Vector3(Math.cos(a1), Math.sin(a1), 0));
+    }
+    for (const [x, y] of [[1, 0], [0, 1], [-1, 0], [0, -1]]) {
+      ring.push(new THREE.Vector3(x, y, 0), new THREE.Vector3(x * 1.5, y * 1.5, 0));
+    }
+    const trackMaterial = createLineMaterial(STYLES.track, this.earthCenter);
+    this.reticle = new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(ring), trackMaterial);
+    this.reticle.renderOrder = 3;
+    this.group.add(this.reticle);
+
+    this.trackPositions = new Float32Array(TRACK_MAX_SEGMENTS * 2 * 3);
+    this.trackCount = 0; // segments
+    this.lastNadir = null;
+    const trackGeometry = new THREE.BufferGeometry();
+    trackGeometry.setAttribute('position', new THREE.BufferAttribute(this.trackPositions, 3));
+    trackGeometry.setDrawRange(0, 0);
+    this.track = new THREE.LineSegments(trackGeometry, trackMaterial);
+    this.track.renderOrder = 3;
+    this.track.frustumCulled = false;
+    this.group.add(this.track);
+  }
+
+  _addLines(lines, style) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(polylinesToSegments(lines, EARTH_RADIUS), 3));
+    const mesh = new THREE.LineSegments(geometry, createLineMaterial(style, this.earthCenter));
+    mesh.renderOrder = 3; // over the clouds
+    mesh.frustumCulled = false;
+    this.group.add(mesh);
+  }
+
+  _createLabel(text, className) {
+    const el = document.createElement('div');
+    el.textContent = text;
+    el.className = className;
+    el.style.display = 'none';
+    this.labelLayer.appendChild(el);
+    return el;
+  }
+
+  _load() {
+    this.loading = true;
+    new THREE.FileLoader().load(DATA_URL, (text) => {
+      const { features } = JSON.parse(text);
+      for (const { properties, geometry } of features) {
+        if (geometry.type === 'MultiLineString') {
+          this._addLines(geometry.coordinates, STYLES[properties.kind]);
+        } else if (geometry.type === 'Point') {
+          const [lon, lat] = geometry.coordinates;
+          this.labels.push({
+            el: this._createLabel(properties.name, properties.kind),
+            position: setGlobeDirection(new THREE.Vector3(), lat * DEG, lon * DEG).multiplyScalar(EARTH_RADIUS),
+            rank: properties.rank,
+          });
+        }
+      }
+    }, undefined, () => {
+      this.loading = false; // try again next time the overlay is switched on
+    });
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.group.visible = visible;
+    if (visible && !this.loading) this._load();
+    if (!visible) {
+      for (const { el } of this.labels) el.style.display = 'none';
+      this.anchorLabel.style.display = 'none';
+    }
+  }
+
+  /** Move the anchor marker (the anchor object from simulation/anchor.js). */
+  setAnchor(anchor) {
+    this.anchor = anchor;
+    this.anchorLabel.textContent = anchor.label;
+    const up = setGlobeDirection(_up, anchor.latRad, anchor.lonRad);
+    this.anchorMark.position.copy(up).multiplyScalar(EARTH_RADIUS);
+    this.anchorMark.quaternion.setFromUnitVectors(_zAxis, up);
+  }
+
+  // Record the sub-cabin point; the oldest segments drop off a full buffer
+  _extendTrack(nadir) {
+    const last = this.lastNadir;
+    if (!last) {
+      this.lastNadir = nadir.clone();
+      return;
+    }
+    const km = last.angleTo(nadir) * EARTH_RADIUS;
+    if (km < TRACK_STEP_KM) return;
+    if (km <= TRACK_JUMP_KM) {
+      if (this.trackCount === TRACK_MAX_SEGMENTS) {
+        this.trackPositions.copyWithin(0, 6);
+        this.trackCount--;
+      }
+      this.trackPositions.set([
+        last.x * EARTH_RADIUS, last.y * EARTH_RADIUS, last.z * EARTH_RADIUS,
+        nadir.x * EARTH_RADIUS, nadir.y * EARTH_RADIUS, nadir.z * EARTH_RADIUS,
+      ], this.trackCount * 6);
+      this.trackCount++;
+      const geometry = this.track.geometry;
+      geometry.attributes.position.needsUpdate = true;
+      geometry.setDrawRange(0, this.trackCount * 2);
+    }
+    last.copy(nadir);
+  }
+
+  _placeLabel(el, position, scale, camera) {
+    _world.copy(position).applyMatrix4(this.group.matrixWorld);
+    // Past the horizon: the camera is below this point's local horizontal plane
+    _up.copy(_world).sub(_center).normalize();
+    const pastHorizon = _up.dot(_ndc.copy(camera.position).sub(_world)) < 0;
+    _ndc.copy(_world).project(camera);
+    const onScreen = _ndc.z < 1 && Math.abs(_ndc.x) < 1 && Math.abs(_ndc.y) < 1;
+    if (pastHorizon || !onScreen) {
+      el.style.display = 'none';
+      return;
+    }
+    const x = (_ndc.x * 0.5 + 0.5) * window.innerWidth + LABEL_OFFSET_PX;
+    const y = (-_ndc.y * 0.5 + 0.5) * window.innerHeight - LABEL_OFFSET_PX;
+    el.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px) translateY(-100%) scale(${scale.toFixed(2)})`;
+    el.style.display = 'block';
+  }
+
+  /**
+   * Follow the globe, size the markers and place the labels.
+   * @param {THREE.Camera} camera
+   * @param {number} altitudeKm
+   * @param {THREE.Euler} rotation - the globe's rotation
+   */
+  update(camera, altitudeKm, rotation) {
+    this.group.rotation.copy(rotation);
+    this.group.updateWorldMatrix(true, false);
+    _center.setFromMatrixPosition(this.group.matrixWorld);
+    this.earthCenter.value.copy(_center);
+
+    // Sub-cabin point: the camera's nadir in the globe's frame
+    this.group.worldToLocal(_nadir.copy(camera.position)).normalize();
+    this._extendTrack(_nadir);
+    if (!this.visible) return;
+
+    const markKm = Math.max(altitudeKm, MIN_MARK_KM / ANCHOR_MARK_SCALE);
+    this.anchorMark.scale.setScalar(markKm * ANCHOR_MARK_SCALE);
+    this.reticle.position.copy(_nadir).multiplyScalar(EARTH_RADIUS);
+    this.reticle.quaternion.setFromUnitVectors(_zAxis, _nadir);
+    this.reticle.scale.setScalar(markKm * RETICLE_SCALE);
+
+    // Labels: larger near the ground, smaller from orbit
+    const scale = THREE.MathUtils.clamp(1.25 - 0.15 * Math.log10(Math.max(altitudeKm, 1)), 0.75, 1.25);
+    if (this.anchor) this._placeLabel(this.anchorLabel, this.anchorMark.position, scale, camera);
+    for (const { el, position, rank } of this.labels) {
+      if (rank > 1 && altitudeKm > MINOR_LABEL_ALTITUDE) {
+        el.style.display = 'none';
+        continue;
+      }
+      this._placeLabel(el, position, scale, camera);
+    }
+  }
+}
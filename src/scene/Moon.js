@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+import { MOON_RADIUS, MOON_DISPLAY_DISTANCE, EARTH_RADIUS } from '../constants.js';
+
+const TEXTURE_WIDTH = 1024;
+const TEXTURE_HEIGHT = 512;
+const CRATER_COUNT = 700;
+const MOONLIGHT_INTENSITY = 0.3; // at full moon — artistic, the real ratio (~1:400,000) would be invisible
+const EARTHSHINE = 0.015;
+
+// Major maria as ellipses: selenographic lon/lat centre and half-extent (degrees)
+const MARIA = [
+  { lon: -57, lat: 18, rLon: 30, rLat: 30, shade: 0.42 }, // Oceanus Procellarum
+  { lon: -16, lat: 33, rLon: 17, rLat: 12, shade: 0.38 }, // Imbrium
+  { lon: 17, lat: 28, rLon: 9, rLat: 8, shade: 0.36 }, // Serenitatis
+  { lon: 31, lat: 8, rLon: 11, rLat: 9, shade: 0.37 }, // Tranquillitatis
+  { lon: 59, lat: 17, rLon: 6, rLat: 5, shade: 0.35 }, // Crisium
+  { lon: 51, lat: -8, rLon: 7, rLat: 10, shade: 0.4 }, // Fecunditatis
+  { lon: 35, lat: -16, rLon: 5, rLat: 5, shade: 0.4 }, // Nectaris
+  { lon: -17, lat: -21, rLon: 9, rLat: 7, shade: 0.41 }, // Nubium
+  { lon: -39, lat: -24, rLon: 7, rLat: 6, shade: 0.4 }, // Humorum
+  { lon: 1, lat: 56, rLon: 30, rLat: 4, shade: 0.42 }, // Frigoris
+];
+
+// Deterministic PRNG so the crater field is the same every load
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Procedural equirectangular albedo map: highland grey, dark maria on the
+ * near side and a scatter of bright-rimmed craters. The near side (lon 0) is
+ * centred at u = 0.25, which SphereGeometry places on +Z.
+ */
+function createMoonTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = TEXTURE_WIDTH;
+  canvas.height = TEXTURE_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const toX = (lon) => ((((lon / 360 + 0.25) % 1) + 1) % 1) * TEXTURE_WIDTH;
+  const toY = (lat) => (0.5 - lat / 180) * TEXTURE_HEIGHT;
+  const pxPerDeg = TEXTURE_WIDTH / 360;
+
+  ctx.fillStyle = 'rgb(150, 148, 144)';
+  ctx.fillRect(0, 0, TEXTURE_WIDTH, TEXTURE_HEIGHT);
+
+  ctx.filter = 'blur(6px)';
+  for (const m of MARIA) {
+    const v = Math.round(m.shade * 255);
+    ctx.fillStyle = `rgb(${v}, ${v}, ${v - 4})`;
+    ctx.beginPath();
+    ctx.ellipse(toX(m.lon), toY(m.lat), m.rLon * pxPerDeg, m.rLat * pxPerDeg, 0, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.filter = 'none';
+
+  const rand = mulberry32(1969);
+  for (let i = 0; i < CRATER_COUNT; i++) {
+    const x = rand() * TEXTURE_WIDTH;
+    const y = TEXTURE_HEIGHT * (0.5 - Math.asin(2 * rand() - 1) / Math.PI); // uniform on the sphere
+    const r = 1 + rand() ** 3 * 14;
+    ctx.fillStyle = 'rgba(60, 60, 58, 0.25)';
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(230, 228, 222, 0.35)';
+    ctx.lineWidth = Math.max(0.5, r * 0.2);
+    ctx.stroke();
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+export class Moon {
+  constructor(scene) {
+    this.group = new THREE.Group();
+    scene.add(this.group);
+
+    // Phase comes from lighting the sphere with the sun direction directly,
+    // so it is independent of the scene's lights and tone of the sky
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        moonTexture: { value: createMoonTexture() },
+        sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+        earthshine: { value: EARTHSHINE },
+      },
+      vertexShader: `
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+        varying vec2 vUv;
+        varying vec3 vWorldNormal;
+        void main() {
+          vUv = uv;
+          vWorldNormal = normalize(mat3(modelMatrix) * normal);
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          #include <logdepthbuf_vertex>
+        }
+      `,
+      fragmentShader: `
+        #include <logdepthbuf_pars_fragment>
+        uniform sampler2D moonTexture;
+        uniform vec3 sunDirection;
+        uniform float earthshine;
+        varying vec2 vUv;
+        varying vec3 vWorldNormal;
+        void main() {
+          #include <logdepthbuf_fragment>
+          vec3 albedo = texture2D(moonTexture, vUv).rgb;
+          float lit = max(dot(normalize(vWorldNormal), sunDirection), 0.0);
+          gl_FragColor = vec4(albedo * (lit * 2.2 + earthshine), 1.0);
+          #include <tonemapping_fragment>
+          #include <colorspace_fragment>
+        }
+      `,
+    });
+
+    const geo = new THREE.SphereGeometry(1, 48, 32);
+    this.mesh = new THREE.Mesh(geo, this.material);
+    this.group.add(this.mesh);
+
+    // Moonlight — a faint cool fill that scales with the lit fraction
+    this.light = new THREE.DirectionalLight(0xb0c4ff, 0);
+    scene.add(this.light);
+
+    this.illuminatedFraction = 0;
+    this._dir = new THREE.Vector3();
+    this._toEarth = new THREE.Vector3();
+    this._target = new THREE.Vector3();
+  }
+
+  /**
+   * @param {THREE.Vector3} moonPosition - Moon centre relative to the camera (km, world space)
+   * @param {THREE.Vector3} earthCenter - Earth centre relative to the camera (km)
+   * @param {THREE.Vector3} sunDirection - normalized world-space sun direction
+   * @param {THREE.Vector3} polarAxis - celestial north, used as the Moon's up axis
+   * @param {number} altitudeKm
+   */
+  update(moonPosition, earthCenter, sunDirection, polarAxis, altitudeKm) {
+    const distance = moonPosition.length();
+    const dir = this._dir.copy(moonPosition).divideScalar(distance);
+
+    // Geometric Earth occlusion test, as in Sun.update
+    const distFromCenter = EARTH_RADIUS + altitudeKm;
+    const earthAngularRadius = Math.asin(EARTH_RADIUS / distFromCenter);
+    const occluded = -dir.y > Math.cos(earthAngularRadius);
+    this.mesh.visible = !occluded;
+
+    // Draw at a fixed distance inside the far plane with the true angular size
+    this.mesh.position.copy(dir).multiplyScalar(MOON_DISPLAY_DISTANCE);
+    this.mesh.scale.setScalar((MOON_RADIUS * MOON_DISPLAY_DISTANCE) / distance);
+
+    // Tidally locked: the near side faces Earth's centre, north toward the celestial pole
+    this._toEarth.subVectors(earthCenter, moonPosition).normalize();
+    this.mesh.up.copy(polarAxis);
+    this.mesh.lookAt(this._target.copy(this.mesh.position).add(this._toEarth));
+
+    this.material.uniforms.sunDirection.value.copy(sunDirection);
+
+    // Lit fraction of the disc as seen from here: (1 − cos elongation) / 2
+    this.illuminatedFraction = (1 - dir.dot(sunDirection)) / 2;
+
+    this.light.position.copy(dir).multiplyScalar(1000);
+    this.light.target.position.set(0, 0, 0);
+    this.light.target.updateMatrixWorld();
+    this.light.intensity = occluded ? 0 : MOONLIGHT_INTENSITY * this.illuminatedFraction ** 2;
+  }
+}
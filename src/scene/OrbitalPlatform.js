@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { CABLE_LENGTH } from '../constants.js';
+import { getSimulationConfig } from '../simulation/config.js';
 
 export class OrbitalPlatform {
   constructor(scene) {
@@ -50,8 +50,8 @@ export class OrbitalPlatform {
   }
 
   update(altitudeKm) {
-    // Position at top of cable (100,000 km), relative to camera
-    const relativeY = CABLE_LENGTH - altitudeKm;
+    // Position at top of cable (the configured counterweight altitude), relative to camera
+    const relativeY = getSimulationConfig().cableLengthKm - altitudeKm;
     this.group.position.set(0, relativeY, 0);
 
     // Scale glow based on distance for visibility
@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+import { quality } from '../QualitySettings.js';
+import { PLANETS, getPlanetPositions } from '../simulation/planets.js';
+
+const MOBILE_BRIGHTNESS_SCALE = 0.7;
+const PLANET_RADIUS = 149500; // just inside the starfield (150,000 km)
+const RECOMPUTE_INTERVAL_MS = 10 * 60 * 1000; // planets drift far slower than a pixel in 10 sim-minutes
+
+// Star catalog size scale (scripts/process-stars.mjs): 1 + 2.5·t^0.7 over 6.5 → −1.46 mag
+const FAINT_MAG = 6.5;
+const BRIGHTEST_STAR_MAG = -1.46;
+const MAX_SIZE = 5.5;
+
+function sizeForMagnitude(mag) {
+  const t = Math.max(0, (FAINT_MAG - mag) / (FAINT_MAG - BRIGHTEST_STAR_MAG));
+  return Math.min(MAX_SIZE, 1.0 + 2.5 * Math.pow(t, 0.7));
+}
+
+export class Planets {
+  /**
+   * @param {THREE.Object3D} frame - celestial frame to live in (Stars.frame), so the
+   *   planets share the starfield's polar-axis mapping and sidereal rotation
+   */
+  constructor(frame) {
+    this.lastUtcMs = null;
+    this.positions = [];
+
+    const count = PLANETS.length;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('starSize', new THREE.BufferAttribute(new Float32Array(count), 1));
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        brightnessMultiplier: { value: 1.3 * (quality.isMobile ? MOBILE_BRIGHTNESS_SCALE : 1) },
+      },
+      vertexShader: `
+        attribute float starSize;
+        attribute vec3 color;
+        uniform float brightnessMultiplier;
+        varying vec3 vColor;
+        void main() {
+          float bm = 3.0 * brightnessMultiplier;
+          vColor = color * bm;
+          vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+          gl_PointSize = max(starSize * bm, 1.0);
+          gl_Position = projectionMatrix * mvPosition;
+        }
+      `,
+      fragmentShader: `
+        varying vec3 vColor;
+        void main() {
+          // Planets are steadier and rounder than stars — a firmer disc edge
+          float dist = length(gl_PointCoord - vec2(0.5));
+          if (dist > 0.5) discard;
+          float alpha = 1.0 - smoothstep(0.3, 0.5, dist);
+          gl_FragColor = vec4(vColor * alpha, alpha);
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    this.points = new THREE.Points(geometry, this.material);
+    this.points.renderOrder = -1; // same as the stars: the sky's alpha occludes them by day
+    this.points.frustumCulled = false;
+    frame.add(this.points);
+  }
+
+  setBrightnessMultiplier(value) {
+    const scale = quality.isMobile ? MOBILE_BRIGHTNESS_SCALE : 1;
+    this.material.uniforms.brightnessMultiplier.value = value * scale;
+  }
+
+  /**
+   * Place the planets for the simulated date.
+   * @param {number} utcMs - simulated UTC time
+   */
+  update(utcMs) {
+    if (this.lastUtcMs !== null && Math.abs(utcMs - this.lastUtcMs) < RECOMPUTE_INTERVAL_MS) return;
+    this.lastUtcMs = utcMs;
+    this.positions = getPlanetPositions(utcMs);
+
+    const geometry = this.points.geometry;
+    const pos = geometry.attributes.position;
+    const col = geometry.attributes.color;
+    const size = geometry.attributes.starSize;
+    this.positions.forEach((p, i) => {
+      // Same celestial convention as the star catalog: north = +Y, RA 0 along +X
+      const cosDec = Math.cos(p.declination);
+      pos.setXYZ(
+        i,
+        PLANET_RADIUS * cosDec * Math.cos(p.rightAscension),
+        PLANET_RADIUS * Math.sin(p.declination),
+        -PLANET_RADIUS * cosDec * Math.sin(p.rightAscension),
+      );
+      // Like the catalog, color is hue only — brightness is carried by point size
+      col.setXYZ(i, p.color[0], p.color[1], p.color[2]);
+      size.setX(i, sizeForMagnitude(p.magnitude));
+    });
+    pos.needsUpdate = true;
+    col.needsUpdate = true;
+    size.needsUpdate = true;
+  }
+}
@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+import { EARTH_RADIUS, FAR_CLIP } from '../constants.js';
+import { conicRadiusKm } from '../simulation/trajectory.js';
+
+const ORBIT_SEGMENTS = 256;
+const MAX_DRAW_RADIUS = FAR_CLIP * 0.95; // keep the conic inside the far plane
+
+/**
+ * The conic a payload released from the cabin would follow, drawn as a
+ * snapshot of the inertial orbit at the moment of release. It lies in the
+ * equatorial plane spanned by local up and east.
+ */
+export class ReleaseOrbit {
+  constructor(scene) {
+    this.positions = new Float32Array((ORBIT_SEGMENTS + 1) * 3);
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+
+    const mat = new THREE.LineBasicMaterial({
+      color: 0xffaa44,
+      transparent: true,
+      opacity: 0.8,
+      depthWrite: false,
+    });
+
+    this.line = new THREE.Line(geo, mat);
+    this.line.frustumCulled = false;
+    this.line.visible = false;
+    scene.add(this.line);
+
+    this._center = new THREE.Vector3();
+    this._p = new THREE.Vector3();
+    this._q = new THREE.Vector3();
+    this._point = new THREE.Vector3();
+  }
+
+  setVisible(visible) {
+    this.line.visible = visible;
+  }
+
+  /**
+   * @param {number} altitudeKm
+   * @param {object} trajectory - from computeReleaseTrajectory
+   * @param {THREE.Vector3} eastDir - world-space local east (horizontal)
+   */
+  update(altitudeKm, trajectory, eastDir) {
+    if (!this.line.visible) return;
+
+    // Earth center relative to the camera; periapsis direction P and the
+    // direction of motion at periapsis Q span the orbital plane
+    this._center.set(0, -(EARTH_RADIUS + altitudeKm), 0);
+    const sign = trajectory.releaseAtPerigee ? 1 : -1;
+    this._p.set(0, sign, 0);
+    this._q.copy(eastDir).multiplyScalar(sign);
+
+    // Trace forward in time from the release point: one revolution, until
+    // impact for sub-orbital drops, or out along the hyperbola for escapes
+    const nuStart = trajectory.releaseAtPerigee ? 0 : Math.PI;
+    const nuSpan = trajectory.escapes
+      ? Math.acos(-1 / trajectory.eccentricity) * 0.999
+      : 2 * Math.PI;
+
+    let count = 0;
+    for (let i = 0; i <= ORBIT_SEGMENTS; i++) {
+      const nu = nuStart + (i / ORBIT_SEGMENTS) * nuSpan;
+      const r = conicRadiusKm(trajectory, nu);
+      if (r < EARTH_RADIUS || r > MAX_DRAW_RADIUS) break;
+      this._point.copy(this._center)
+        .addScaledVector(this._p, r * Math.cos(nu))
+        .addScaledVector(this._q, r * Math.sin(nu));
+      this.positions[count * 3] = this._point.x;
+      this.positions[count * 3 + 1] = this._point.y;
+      this.positions[count * 3 + 2] = this._point.z;
+      count++;
+    }
+
+    this.line.geometry.setDrawRange(0, count);
+    this.line.geometry.attributes.position.needsUpdate = true;
+  }
+}
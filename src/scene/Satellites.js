@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import { EARTH_RADIUS } from '../constants.js';
+import { LABELED_GROUPS, loadSatellites, getSatellites, propagateSatellites } from '../simulation/satellites.js';
+
+const PROPAGATE_INTERVAL_MS = 100; // real time between SGP4 passes
+const LIMITING_MAG = 8; // dark-adapted eye behind clean cabin glass
+const BRIGHTEST_MAG = -4;
+const LABEL_RANGE_KM = 2500; // unlabeled groups get a tag only when this close
+const MAX_LABELS = 8;
+const LABEL_OFFSET_PX = 8;
+
+// Magnitude at 1,000 km range, fully lit — scaled by distance with 5·log10(d / 1000)
+const GROUP_STYLES = {
+  iss: { magnitude: -1.3, color: [1.0, 0.97, 0.9] },
+  hubble: { magnitude: 2.2, color: [1.0, 0.97, 0.9] },
+  gps: { magnitude: 4.5, color: [0.85, 0.92, 1.0] },
+  geo: { magnitude: 4.0, color: [1.0, 0.95, 0.85] },
+  other: { magnitude: 5.0, color: [0.9, 0.9, 0.9] },
+};
+
+const _eci = new THREE.Vector3();
+const _rel = new THREE.Vector3();
+const _ndc = new THREE.Vector3();
+
+/**
+ * Satellites from the CelesTrak TLE snapshot, drawn at their true positions as
+ * points that shine only while sunlit, sized by their apparent magnitude from
+ * the cabin. The ISS, Hubble and anything close by get an HTML name tag.
+ */
+export class Satellites {
+  constructor(scene, loadingManager) {
+    this.scene = scene;
+    this.sats = [];
+    this.points = null;
+    this.lastPropagate = 0;
+    this.lastUtcMs = null;
+
+    this.labelLayer = document.getElementById('satellite-labels');
+    this.labels = [];
+
+    const loader = new THREE.FileLoader(loadingManager);
+    // Without element sets (file missing or empty) the sky simply has no satellites
+    loader.load('data/satellites.tle', (text) => this._build(text), undefined, () => {});
+  }
+
+  _build(text) {
+    const count = loadSatellites(text);
+    if (count === 0) return;
+    // Scene-side state per satellite; the records themselves are propagated in place
+    this.sats = getSatellites().map((record) => ({
+      record,
+      style: GROUP_STYLES[record.group] || GROUP_STYLES.other,
+      world: new THREE.Vector3(),
+    }));
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('starSize', new THREE.BufferAttribute(new Float32Array(count), 1));
+
+    const material = new THREE.ShaderMaterial({
+      vertexShader: `
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
+        attribute float starSize;
+        attribute vec3 color;
+        varying vec3 vColor;
+        void main() {
+          vColor = color;
+          gl_PointSize = starSize;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          #include <logdepthbuf_vertex>
+        }
+      `,
+      fragmentShader: `
+        #include <logdepthbuf_pars_fragment>
+        varying vec3 vColor;
+        void main() {
+          #include <logdepthbuf_fragment>
+          float dist = length(gl_PointCoord - vec2(0.5));
+          if (dist > 0.5) discard;
+          float alpha = 1.0 - smoothstep(0.2, 0.5, dist);
+          gl_FragColor = vec4(vColor * alpha, alpha);
+        }
+      `,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    this.points = new THREE.Points(geometry, material);
+    this.points.renderOrder = -1; // like the stars: the daytime sky washes them out
+    this.points.frustumCulled = false;
+    this.scene.add(this.points);
+  }
+
+  _label(i) {
+    if (!this.labels[i]) {
+      const el = document.createElement('div');
+      this.labelLayer.appendChild(el);
+      this.labels[i] = el;
+    }
+    return this.labels[i];
+  }
+
+  /**
+   * @param {number} utcMs - simulated UTC time
+   * @param {THREE.Matrix4} equatorialToWorld - geocentric equatorial km → world
+   * @param {THREE.Vector3} earthCenter - world position of Earth's center
+   * @param {THREE.Vector3} sunDirection - unit vector toward the sun
+   * @param {THREE.Camera} camera
+   */
+  update(utcMs, equatorialToWorld, earthCenter, sunDirection, camera) {
+    if (!this.points) return;
+
+    const nowReal = performance.now();
+    if (utcMs !== this.lastUtcMs && nowReal - this.lastPropagate >= PROPAGATE_INTERVAL_MS) {
+      this.lastPropagate = nowReal;
+      this.lastUtcMs = utcMs;
+      propagateSatellites(utcMs);
+    }
+
+    const geometry = this.points.geometry;
+    const pos = geometry.attributes.position;
+    const col = geometry.attributes.color;
+    const size = geometry.attributes.starSize;
+    const camPos = camera.position;
+    const labelCandidates = [];
+
+    this.sats.forEach((sat, i) => {
+      const p = sat.record.position;
+      if (!p) {
+        size.setX(i, 0);
+        return;
+      }
+      sat.world.copy(_eci.set(p.x, p.y, p.z)).applyMatrix4(equatorialToWorld);
+      pos.setXYZ(i, sat.world.x, sat.world.y, sat.world.z);
+
+      // Cylindrical Earth shadow
+      _rel.copy(sat.world).sub(earthCenter);
+      const along = _rel.dot(sunDirection);
+      const sunlit = along > 0 || _rel.addScaledVector(sunDirection, -along).length() > EARTH_RADIUS;
+
+      const distance = sat.world.distanceTo(camPos);
+      const magnitude = sat.style.magnitude + 5 * Math.log10(Math.max(distance, 1) / 1000);
+      const t = (LIMITING_MAG - magnitude) / (LIMITING_MAG - BRIGHTEST_MAG);
+      if (!sunlit || t <= 0) {
+        size.setX(i, 0);
+        return;
+      }
+
+      const intensity = Math.min(1, 0.25 + t);
+      col.setXYZ(i, sat.style.color[0] * intensity, sat.style.color[1] * intensity, sat.style.color[2] * intensity);
+      size.setX(i, 1.5 + 4 * Math.min(1, t));
+
+      if (LABELED_GROUPS.has(sat.record.group) || distance < LABEL_RANGE_KM) {
+        labelCandidates.push({ sat, distance });
+      }
+    });
+    pos.needsUpdate = true;
+    col.needsUpdate = true;
+    size.needsUpdate = true;
+
+    this._updateLabels(labelCandidates, earthCenter, camera);
+  }
+
+  _updateLabels(candidates, earthCenter, camera) {
+    candidates.sort((a, b) => a.distance - b.distance);
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    let shown = 0;
+
+    for (const { sat, distance } of candidates) {
+      if (shown >= MAX_LABELS) break;
+      if (isBehindEarth(camera.position, sat.world, earthCenter, distance)) continue;
+      _ndc.copy(sat.world).project(camera);
+      if (_ndc.z > 1 || Math.abs(_ndc.x) > 1 || Math.abs(_ndc.y) > 1) continue;
+
+      const el = this._label(shown++);
+      const x = (_ndc.x * 0.5 + 0.5) * width + LABEL_OFFSET_PX;
+      const y = (-_ndc.y * 0.5 + 0.5) * height - LABEL_OFFSET_PX;
+      el.textContent = `${sat.record.name} ${formatDistance(distance)}`;
+      el.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)`;
+      el.style.display = 'block';
+    }
+    for (let i = shown; i < this.labels.length; i++) this.labels[i].style.display = 'none';
+  }
+}
+
+// Does the line of sight from the camera to a satellite pass through the Earth?
+function isBehindEarth(from, to, earthCenter, distance) {
+  const dir = _rel.copy(to).sub(from).divideScalar(distance);
+  const tClosest = _eci.copy(earthCenter).sub(from).dot(dir);
+  if (tClosest <= 0 || tClosest >= distance) return false;
+  const closest = _eci.copy(from).addScaledVector(dir, tClosest);
+  return closest.distanceTo(earthCenter) < EARTH_RADIUS;
+}
+
+function formatDistance(km) {
+  return km < 10000 ? `${Math.round(km).toLocaleString()} km` : `${(km / 1000).toFixed(1)}k km`;
+}
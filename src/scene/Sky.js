@@ -1,68 +1,243 @@
 import * as THREE from 'three';
-import { getSkyBlendFactor } from '../simulation/physics.js';
+import { EARTH_RADIUS, ATMO_THICKNESS, SUN_DISTANCE, SUN_VISUAL_RADIUS } from '../constants.js';
+import {
+  ATMOSPHERE,
+  VEIL_LUMINANCE,
+  TRANSMITTANCE_LUT_SIZE,
+  MULTI_SCATTERING_LUT_SIZE,
+  getScatteringLuts,
+  getSkyRadiance,
+  getSkyVeil,
+} from '../simulation/scattering.js';
+import { quality } from '../QualitySettings.js';
 
+// The shell mesh sits a little above the top of the atmosphere: its facets are
+// chords, and the camera must be clearly inside or outside them
+const SHELL_MARGIN = 10;
+const SHELL_RADIUS = EARTH_RADIUS + ATMO_THICKNESS + SHELL_MARGIN;
+const SUN_ANGULAR_RADIUS = Math.atan(SUN_VISUAL_RADIUS / SUN_DISTANCE);
+
+const _sun = [0, 1, 0];
+
+function createLutTexture(data, [width, height]) {
+  const half = new Uint16Array(data.length);
+  for (let i = 0; i < data.length; i++) half[i] = THREE.DataUtils.toHalfFloat(data[i]);
+  const texture = new THREE.DataTexture(half, width, height, THREE.RGBAFormat, THREE.HalfFloatType);
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+const vec3 = (v) => `vec3(${v.map((x) => x.toExponential(4)).join(', ')})`;
+
+/**
+ * The atmosphere: one Rayleigh/Mie scattering model (simulation/scattering.js)
+ * drawn on a shell around the Earth. From inside it is the sky dome, with red
+ * sunsets and twilight; from space the same shell's front faces give the limb
+ * glow and the haze over the day side. The shader ray-marches the view ray and
+ * reads sunlight transmittance and multiple scattering from CPU-built tables.
+ */
 export class Sky {
   constructor(scene) {
-    // Inverted sphere for sky dome
-    const geometry = new THREE.SphereGeometry(500, 32, 32);
+    const { transmittance, multiScattering } = getScatteringLuts();
+    const a = ATMOSPHERE;
 
     this.material = new THREE.ShaderMaterial({
       uniforms: {
-        blendFactor: { value: 1.0 },
+        transmittanceLut: { value: createLutTexture(transmittance, TRANSMITTANCE_LUT_SIZE) },
+        multiScatteringLut: { value: createLutTexture(multiScattering, MULTI_SCATTERING_LUT_SIZE) },
+        sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+        earthCenter: { value: new THREE.Vector3(0, -EARTH_RADIUS, 0) },
+        groundHaze: { value: 0 },
+      },
+      defines: {
+        STEPS: quality.scatteringSteps,
       },
       vertexShader: `
+        #include <common>
+        #include <logdepthbuf_pars_vertex>
         varying vec3 vWorldPosition;
         void main() {
           vec4 worldPos = modelMatrix * vec4(position, 1.0);
           vWorldPosition = worldPos.xyz;
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          gl_Position = projectionMatrix * viewMatrix * worldPos;
+          #include <logdepthbuf_vertex>
         }
       `,
       fragmentShader: `
-        uniform float blendFactor;
+        #include <common>
+        #include <logdepthbuf_pars_fragment>
+        uniform sampler2D transmittanceLut;
+        uniform sampler2D multiScatteringLut;
+        uniform vec3 sunDirection;
+        uniform vec3 earthCenter;
+        uniform float groundHaze; // aerial perspective over the ground, seen from space
         varying vec3 vWorldPosition;
+
+        const float BOTTOM = ${a.bottomRadius.toFixed(1)};
+        const float TOP = ${a.topRadius.toFixed(1)};
+        const vec3 RAYLEIGH = ${vec3(a.rayleighScattering)};
+        const float RAYLEIGH_H = ${a.rayleighScaleHeight.toFixed(2)};
+        const float MIE_SCATTERING = ${a.mieScattering.toExponential(4)};
+        const float MIE_EXTINCTION = ${a.mieExtinction.toExponential(4)};
+        const float MIE_H = ${a.mieScaleHeight.toFixed(2)};
+        const float MIE_G = ${a.mieG.toFixed(3)};
+        const vec3 OZONE = ${vec3(a.ozoneAbsorption)};
+        const float OZONE_CENTER = ${a.ozoneCenter.toFixed(1)};
+        const float OZONE_HALF_WIDTH = ${a.ozoneHalfWidth.toFixed(1)};
+        const float SUN_INTENSITY = ${a.sunIntensity.toFixed(2)};
+        const float VEIL_LUMINANCE = ${VEIL_LUMINANCE.toFixed(4)};
+        const float COS_SUN_RADIUS = ${Math.cos(SUN_ANGULAR_RADIUS).toFixed(8)};
+        const vec2 TRANSMITTANCE_SIZE = vec2(${TRANSMITTANCE_LUT_SIZE.map((n) => n.toFixed(1)).join(', ')});
+        const vec2 MS_SIZE = vec2(${MULTI_SCATTERING_LUT_SIZE.map((n) => n.toFixed(1)).join(', ')});
+
+        // Near and far hits of a ray with a sphere around the planet's center
+        vec2 raySphere(vec3 origin, vec3 dir, float radius) {
+          float b = dot(origin, dir);
+          float c = dot(origin, origin) - radius * radius;
+          float disc = b * b - c;
+          if (disc < 0.0) return vec2(-1.0);
+          float s = sqrt(disc);
+          return vec2(-b - s, -b + s);
+        }
+
+        // Sunlight reaching radius r, zero in the planet's shadow (same mapping as scattering.js)
+        vec3 sunTransmittance(float r, float mu) {
+          float disc = r * r * (mu * mu - 1.0);
+          if (mu < 0.0 && disc + BOTTOM * BOTTOM >= 0.0) return vec3(0.0);
+          float H = sqrt(TOP * TOP - BOTTOM * BOTTOM);
+          float rho = sqrt(max(r * r - BOTTOM * BOTTOM, 0.0));
+          float d = max(-r * mu + sqrt(max(disc + TOP * TOP, 0.0)), 0.0);
+          float dMin = TOP - r;
+          float dMax = rho + H;
+          vec2 uv = vec2((d - dMin) / (dMax - dMin), rho / H);
+          uv = 0.5 / TRANSMITTANCE_SIZE + uv * (1.0 - 1.0 / TRANSMITTANCE_SIZE);
+          return texture2D(transmittanceLut, uv).rgb;
+        }
+
+        vec3 multiScattering(float r, float muS) {
+          vec2 uv = vec2(muS * 0.5 + 0.5, (r - BOTTOM) / (TOP - BOTTOM));
+          uv = 0.5 / MS_SIZE + clamp(uv, 0.0, 1.0) * (1.0 - 1.0 / MS_SIZE);
+          return texture2D(multiScatteringLut, uv).rgb;
+        }
+
+        float miePhase(float c) {
+          float g2 = MIE_G * MIE_G;
+          float k = 3.0 / (8.0 * PI) * (1.0 - g2) / (2.0 + g2);
+          return k * (1.0 + c * c) / pow(1.0 + g2 - 2.0 * MIE_G * c, 1.5);
+        }
+
         void main() {
-          // Gradient from horizon (lighter blue) to zenith (darker blue)
-          vec3 dir = normalize(vWorldPosition);
-          float elevation = dir.y; // -1 (nadir) to +1 (zenith)
-
-          // Sky gradient
-          vec3 horizonColor = vec3(0.6, 0.8, 1.0);
-          vec3 zenithColor = vec3(0.1, 0.3, 0.8);
-          vec3 belowColor = vec3(0.15, 0.25, 0.4);
-
-          vec3 skyColor;
-          if (elevation > 0.0) {
-            skyColor = mix(horizonColor, zenithColor, elevation);
+          #include <logdepthbuf_fragment>
+          vec3 origin = cameraPosition - earthCenter;
+          vec3 dir = normalize(vWorldPosition - cameraPosition);
+          vec2 atmosphere = raySphere(origin, dir, TOP);
+          if (atmosphere.y <= 0.0) discard;
+          vec2 ground = raySphere(origin, dir, BOTTOM);
+          bool hitsGround = ground.x > 0.0;
+          bool inside = dot(origin, origin) < TOP * TOP;
+
+          float tStart = max(atmosphere.x, 0.0);
+          float tEnd = hitsGround ? ground.x : atmosphere.y;
+          float span = tEnd - tStart;
+          // From inside, crowd samples near the eye where the air is dense; from
+          // space, spread them evenly so the tangent point of limb rays is covered
+          float curve = inside ? 2.0 : 1.0;
+
+          float cosTheta = dot(dir, sunDirection);
+          float phaseR = 3.0 / (16.0 * PI) * (1.0 + cosTheta * cosTheta);
+          float phaseM = miePhase(cosTheta);
+
+          vec3 radiance = vec3(0.0);
+          vec3 throughput = vec3(1.0);
+          for (int i = 0; i < STEPS; i++) {
+            float t0 = span * pow(float(i) / float(STEPS), curve);
+            float t1 = span * pow(float(i + 1) / float(STEPS), curve);
+            float dt = t1 - t0;
+            vec3 p = origin + dir * (tStart + 0.5 * (t0 + t1));
+            float r = length(p);
+            float h = r - BOTTOM;
+            float muS = dot(p, sunDirection) / r;
+
+            float rayleigh = exp(-h / RAYLEIGH_H);
+            float mie = exp(-h / MIE_H);
+            float ozone = max(0.0, 1.0 - abs(h - OZONE_CENTER) / OZONE_HALF_WIDTH);
+            vec3 scatterR = RAYLEIGH * rayleigh;
+            float scatterM = MIE_SCATTERING * mie;
+            vec3 extinction = max(scatterR + MIE_EXTINCTION * mie + OZONE * ozone, vec3(1e-9));
+
+            vec3 source = sunTransmittance(r, muS) * (scatterR * phaseR + scatterM * phaseM)
+              + multiScattering(r, muS) * (scatterR + scatterM);
+            vec3 stepT = exp(-extinction * dt);
+            radiance += throughput * source * (1.0 - stepT) / extinction;
+            throughput *= stepT;
+          }
+          radiance *= SUN_INTENSITY;
+
+          float alpha;
+          if (hitsGround) {
+            // Over the ground the shell is aerial perspective: haze in front, surface dimmed
+            radiance *= groundHaze;
+            alpha = (1.0 - dot(throughput, vec3(1.0 / 3.0))) * groundHaze;
           } else {
-            skyColor = mix(horizonColor, belowColor, -elevation);
+            // Over space the sky veils whatever is behind it once it is bright enough
+            float luminance = dot(radiance, vec3(0.2126, 0.7152, 0.0722));
+            alpha = smoothstep(0.0, 1.0, luminance / VEIL_LUMINANCE);
+            // The sun mesh is veiled with everything else; redraw its disc reddened by the air
+            float disc = smoothstep(COS_SUN_RADIUS - 2e-5, COS_SUN_RADIUS + 2e-5, cosTheta);
+            radiance += disc * alpha * throughput * SUN_INTENSITY * 2.0;
           }
 
-          gl_FragColor = vec4(skyColor, blendFactor);
+          gl_FragColor = vec4(radiance, alpha);
+          #include <tonemapping_fragment>
+          #include <colorspace_fragment>
         }
       `,
       transparent: true,
       side: THREE.BackSide,
       depthWrite: false,
+      // Premultiplied: radiance is added, the background is dimmed by alpha
+      blending: THREE.CustomBlending,
+      blendSrc: THREE.OneFactor,
+      blendDst: THREE.OneMinusSrcAlphaFactor,
     });
 
-    this.mesh = new THREE.Mesh(geometry, this.material);
+    this.mesh = new THREE.Mesh(new THREE.SphereGeometry(SHELL_RADIUS, 128, 64), this.material);
+    this.mesh.frustumCulled = false;
     scene.add(this.mesh);
+
+    this.veil = 1;
+  }
+
+  /** Current daytime sky opacity at the zenith (0 = black space or night, 1 = full daylight sky). */
+  get blendFactor() {
+    return this.veil;
   }
 
   update(altitudeKm, sunDirection) {
-    let factor = getSkyBlendFactor(altitudeKm);
-
-    // Dim sky at night based on sun elevation
-    if (sunDirection) {
-      // sunDirection.y is the sun's elevation component in world space
-      // (positive = above horizon from elevator's perspective)
-      const sunElevation = sunDirection.y;
-      const daytimeFactor = THREE.MathUtils.smoothstep(sunElevation, -0.1, 0.15);
-      factor *= daytimeFactor;
-    }
-
-    this.material.uniforms.blendFactor.value = factor;
-    this.mesh.visible = factor > 0.001;
+    const distFromCenter = EARTH_RADIUS + altitudeKm;
+    this.mesh.position.set(0, -distFromCenter, 0);
+    const uniforms = this.material.uniforms;
+    uniforms.earthCenter.value.copy(this.mesh.position);
+    uniforms.sunDirection.value.copy(sunDirection);
+
+    // Inside the shell only its far side is visible; outside, its near side
+    // covers the limb and the disc. The facets dip below SHELL_RADIUS, so the
+    // switch happens at the vertex radius — at worst the zenith facet, where
+    // there is no air left to draw, drops out for a few kilometres.
+    const inside = distFromCenter < SHELL_RADIUS;
+    this.material.side = inside ? THREE.BackSide : THREE.FrontSide;
+    // Inside, the Earth hides the shell's far side below the horizon; fade the
+    // haze over the disc in above the shell instead of popping it on
+    const shellAltitude = SHELL_RADIUS - EARTH_RADIUS;
+    uniforms.groundHaze.value = THREE.MathUtils.smoothstep(altitudeKm, shellAltitude, shellAltitude + ATMO_THICKNESS);
+
+    _sun[0] = sunDirection.x;
+    _sun[1] = sunDirection.y;
+    _sun[2] = sunDirection.z;
+    this.veil = getSkyVeil(getSkyRadiance(altitudeKm, [0, 1, 0], _sun));
   }
 }
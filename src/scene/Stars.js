@@ -1,102 +1,274 @@
 import * as THREE from 'three';
 import { quality } from '../QualitySettings.js';
+import { getSkyBlendFactor } from '../simulation/physics.js';
 
 const MOBILE_BRIGHTNESS_SCALE = 0.7;
 
+// Sea-level extinction per air mass (mag) in R, G, B — blue loses most, so
+// stars near the horizon dim and redden
+const EXTINCTION_RGB = [0.10, 0.16, 0.28];
+const SCINTILLATION_ZENITH = 0.08; // relative flicker overhead
+const SCINTILLATION_MAX = 0.6;
+
+// scripts/process-stars.mjs writes (cosδ cosα, sinδ, −cosδ sinα)
+const CATALOG_TO_EQUATORIAL = new THREE.Matrix4().set(
+  1, 0, 0, 0,
+  0, 0, -1, 0,
+  0, 1, 0, 0,
+  0, 0, 0, 1,
+);
+
+// Packed tier files written by scripts/process-stars.mjs
+const TIER_MAGIC = 'STAR';
+const TIER_HEADER_BYTES = 20;
+const NAKED_EYE_TIER = 'data/stars-6.5.bin';
+const DEEP_TIERS = ['data/stars-8.bin', 'data/stars-10.bin'];
+const FAINT_FALLOFF = 0.5; // softened 2.512^-Δm so telescope-tier stars still read
+
+/**
+ * Decode one packed star tier (layout documented in scripts/process-stars.mjs).
+ * @returns {{count: number, magLimit: number, brightest: number,
+ *   positions: Float32Array, magnitudes: Float32Array, colors: Float32Array}}
+ */
+function decodeTier(buffer) {
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (magic !== TIER_MAGIC) throw new Error(`Not a star tier file (magic "${magic}")`);
+  const count = view.getUint32(8, true);
+  const magLimit = view.getFloat32(12, true);
+  const brightest = view.getFloat32(16, true);
+
+  const positions = new Float32Array(buffer, TIER_HEADER_BYTES, count * 3);
+  const magOffset = TIER_HEADER_BYTES + count * 12;
+  const colorOffset = magOffset + count * 2;
+  const magnitudes = new Float32Array(count);
+  const colors = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    magnitudes[i] = view.getInt16(magOffset + i * 2, true) / 100;
+  }
+  const rgb = new Uint8Array(buffer, colorOffset, count * 3);
+  for (let i = 0; i < count * 3; i++) colors[i] = rgb[i] / 255;
+  return { count, magLimit, brightest, positions, magnitudes, colors };
+}
+
 export class Stars {
-  constructor(scene, loadingManager, polarAxis) {
+  constructor(scene, loadingManager) {
     // Wrap points in a group so we can rotate the whole starfield
     this.group = new THREE.Group();
     scene.add(this.group);
 
-    this.material = null;
-    this.points = null;
-
-    // Pre-compute rotation quaternion: maps celestial north pole (+Y) to simulation's polar axis
-    const rotationQuat = new THREE.Quaternion().setFromUnitVectors(
-      new THREE.Vector3(0, 1, 0),
-      polarAxis
-    );
-
-    // Load real star catalog data
-    const loader = new THREE.FileLoader(loadingManager);
-    loader.load('data/stars.json', (text) => {
-      const data = JSON.parse(text);
-      const count = data.count;
-      const positions = new Float32Array(count * 3);
-      const colors = new Float32Array(count * 3);
-      const sizes = new Float32Array(count);
-
-      const pos = new THREE.Vector3();
-
-      for (let i = 0; i < count; i++) {
-        const s = data.stars[i];
-        // Pre-rotate position from celestial coords to simulation coords
-        pos.set(s[0], s[1], s[2]).applyQuaternion(rotationQuat);
-        positions[i * 3] = pos.x;
-        positions[i * 3 + 1] = pos.y;
-        positions[i * 3 + 2] = pos.z;
-        sizes[i] = s[3];
-        colors[i * 3] = s[4];
-        colors[i * 3 + 1] = s[5];
-        colors[i * 3 + 2] = s[6];
-      }
+    this.tiers = []; // THREE.Points per loaded magnitude tier
+    this.catalog = null;
+    this.onLoad = null;
+    this.nakedEyeLimit = null;
+    this.brightest = null;
+    this.deepRequested = false;
+
+    // Celestial frame: the catalog's equatorial coordinates (north = +Y) turned into
+    // world space for the simulated instant. Applied to the frame group (not baked
+    // into positions) so it can follow sidereal time and anchor moves. Anything added
+    // to this.frame in catalog coordinates turns with the stars.
+    this.frame = new THREE.Group();
+    this.frame.matrixAutoUpdate = false;
+    this.group.add(this.frame);
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        brightnessMultiplier: { value: 1.3 * (quality.isMobile ? MOBILE_BRIGHTNESS_SCALE : 1) },
+        atmosphere: { value: 1 },
+        time: { value: 0 },
+        extinction: { value: new THREE.Vector3(...EXTINCTION_RGB) },
+      },
+      vertexShader: `
+        attribute float starSize;
+        attribute vec3 color;
+        uniform float brightnessMultiplier;
+        uniform float atmosphere; // 1 at sea level, 0 from the Karman line up
+        uniform float time;
+        uniform vec3 extinction;
+        varying vec3 vColor;
+        void main() {
+          float bm = 3.0 * brightnessMultiplier;
+
+          // Elevation above the local horizontal (world +Y is up at the cabin)
+          vec3 dir = normalize(mat3(modelMatrix) * position);
+          float elevation = max(degrees(asin(dir.y)), 0.0);
+          // Kasten & Young (1989) relative air mass, ~38 at the horizon
+          float airmass = 1.0 / (sin(radians(elevation)) + 0.50572 * pow(elevation + 6.07995, -1.6364));
+          vec3 transmission = pow(vec3(10.0), -0.4 * extinction * airmass * atmosphere);
+
+          // Scintillation: per-star phase, deeper and more colorful toward the horizon
+          float seed = fract(sin(dot(normalize(position), vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+          float amp = min(${SCINTILLATION_ZENITH.toFixed(2)} * airmass, ${SCINTILLATION_MAX.toFixed(2)}) * atmosphere;
+          vec3 phase = seed * 40.0 + vec3(0.0, 0.7, 1.4) * min(airmass / 10.0, 1.0);
+          vec3 twinkle = 1.0 + amp * (0.6 * sin(time * (7.0 + 6.0 * seed) + phase)
+            + 0.4 * sin(time * (13.0 + 9.0 * seed) + phase * 2.3));
+
+          vColor = color * bm * transmission * max(twinkle, vec3(0.0));
+
+          vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+          // Stars are at infinity — use flat size, no perspective division
+          gl_PointSize = max(starSize * bm, 1.0);
+          gl_Position = projectionMatrix * mvPosition;
+        }
+      `,
+      fragmentShader: `
+        varying vec3 vColor;
+        void main() {
+          // Soft circular point
+          float dist = length(gl_PointCoord - vec2(0.5));
+          if (dist > 0.5) discard;
+          float alpha = 1.0 - smoothstep(0.2, 0.5, dist);
+          gl_FragColor = vec4(vColor * alpha, alpha);
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      toneMapped: false,
+    });
 
-      const geometry = new THREE.BufferGeometry();
-      geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-      geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-      geometry.setAttribute('starSize', new THREE.BufferAttribute(sizes, 1));
-
-      this.material = new THREE.ShaderMaterial({
-        uniforms: {
-          brightnessMultiplier: { value: 1.3 * (quality.isMobile ? MOBILE_BRIGHTNESS_SCALE : 1) },
-        },
-        vertexShader: `
-          attribute float starSize;
-          attribute vec3 color;
-          uniform float brightnessMultiplier;
-          varying vec3 vColor;
-          void main() {
-            float bm = 3.0 * brightnessMultiplier;
-            vColor = color * bm;
-            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-            // Stars are at infinity — use flat size, no perspective division
-            gl_PointSize = max(starSize * bm, 1.0);
-            gl_Position = projectionMatrix * mvPosition;
-          }
-        `,
-        fragmentShader: `
-          varying vec3 vColor;
-          void main() {
-            // Soft circular point
-            float dist = length(gl_PointCoord - vec2(0.5));
-            if (dist > 0.5) discard;
-            float alpha = 1.0 - smoothstep(0.2, 0.5, dist);
-            gl_FragColor = vec4(vColor * alpha, alpha);
-          }
-        `,
-        transparent: true,
-        depthWrite: false,
-        toneMapped: false,
-      });
-
-      this.points = new THREE.Points(geometry, this.material);
-      this.points.renderOrder = -1; // render before sky so sky's alpha occludes stars
-      this.group.add(this.points);
+    // Naked-eye tier and its metadata hold up the loading screen; deeper tiers stream later
+    const binLoader = new THREE.FileLoader(loadingManager);
+    binLoader.setResponseType('arraybuffer');
+    const metaLoader = new THREE.FileLoader(loadingManager);
+    let tier = null;
+    let meta = null;
+    const ready = () => {
+      if (!tier || !meta) return;
+      this.nakedEyeLimit = tier.magLimit;
+      this.brightest = tier.brightest;
+      // Metadata rows are [name, designation, constellation, spectral class,
+      // distance ly] for the naked-eye tier; deeper stars have magnitude only
+      this.catalog = {
+        count: tier.count,
+        magLimit: tier.magLimit, // faintest star currently drawn
+        positions: tier.positions,
+        magnitudes: tier.magnitudes,
+        info: meta.info || [],
+        constellations: meta.constellations || [],
+      };
+      this._addTier(tier);
+      if (this.onLoad) this.onLoad(this.catalog);
+      if (quality.deepStars) this.loadDeepTiers();
+    };
+    binLoader.load(NAKED_EYE_TIER, (buffer) => {
+      tier = decodeTier(buffer);
+      ready();
+    });
+    metaLoader.load('data/stars-meta.json', (text) => {
+      meta = JSON.parse(text);
+      ready();
     });
   }
 
-  setBrightnessMultiplier(value) {
-    if (this.material) {
-      const scale = quality.isMobile ? MOBILE_BRIGHTNESS_SCALE : 1;
-      this.material.uniforms.brightnessMultiplier.value = value * scale;
+  /**
+   * Stream the fainter catalog tiers (desktop, high quality). Each tier joins the
+   * starfield and the inspector's catalog as soon as it arrives.
+   */
+  loadDeepTiers() {
+    if (this.deepRequested || !this.catalog) return;
+    this.deepRequested = true;
+    const loader = new THREE.FileLoader();
+    loader.setResponseType('arraybuffer');
+    // Sequential so the brighter tier always lands first. A tier that fails to
+    // load or decode ends the run; the next request resumes from it.
+    const retryLater = () => { this.deepRequested = false; };
+    const next = (i) => {
+      if (i >= DEEP_TIERS.length) return;
+      loader.load(DEEP_TIERS[i], (buffer) => {
+        let tier;
+        try {
+          tier = decodeTier(buffer);
+        } catch {
+          retryLater();
+          return;
+        }
+        this._addTier(tier);
+        this._appendCatalog(tier);
+        this.setDeepTiersVisible(quality.deepStars); // may have been switched off meanwhile
+        next(i + 1);
+      }, undefined, retryLater);
+    };
+    next(this.tiers.length - 1); // tiers[0] is the naked-eye tier
+  }
+
+  /** Show or hide the streamed tiers without dropping them. */
+  setDeepTiersVisible(visible) {
+    this.tiers.forEach((points, i) => { if (i > 0) points.visible = visible; });
+    if (this.catalog) {
+      const limits = this.tiers.map((points) => points.userData.magLimit);
+      this.catalog.magLimit = visible ? Math.max(...limits) : this.nakedEyeLimit;
     }
+    if (visible) this.loadDeepTiers();
   }
 
-  update(altitudeKm, sunAngle, polarAxis) {
-    // Rotate starfield with the sun (stars are fixed in the inertial frame)
-    if (sunAngle !== undefined && polarAxis) {
-      this.group.quaternion.setFromAxisAngle(polarAxis, sunAngle);
+  _addTier(tier) {
+    const sizes = new Float32Array(tier.count);
+    const colors = tier.colors;
+    const range = this.nakedEyeLimit - this.brightest;
+    for (let i = 0; i < tier.count; i++) {
+      const mag = tier.magnitudes[i];
+      if (mag <= this.nakedEyeLimit) {
+        // pow(0.7) compresses the bright end so the biggest stars don't dominate
+        sizes[i] = 1.0 + 2.5 * Math.pow((this.nakedEyeLimit - mag) / range, 0.7);
+      } else {
+        // Below the naked-eye limit points stay at one pixel and fade instead
+        sizes[i] = 1.0;
+        const fade = Math.pow(10, -0.4 * FAINT_FALLOFF * (mag - this.nakedEyeLimit));
+        colors[i * 3] *= fade;
+        colors[i * 3 + 1] *= fade;
+        colors[i * 3 + 2] *= fade;
+      }
     }
+
+    // Catalog coords; the sky orientation is applied by this.frame.matrix
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(tier.positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('starSize', new THREE.BufferAttribute(sizes, 1));
+
+    const points = new THREE.Points(geometry, this.material);
+    points.renderOrder = -1; // render before sky so sky's alpha occludes stars
+    points.frustumCulled = false;
+    points.userData.magLimit = tier.magLimit;
+    this.frame.add(points);
+    this.tiers.push(points);
+  }
+
+  // Deeper stars append to the inspector's arrays; naked-eye indices stay stable
+  _appendCatalog(tier) {
+    const c = this.catalog;
+    const positions = new Float32Array((c.count + tier.count) * 3);
+    positions.set(c.positions);
+    positions.set(tier.positions, c.count * 3);
+    const magnitudes = new Float32Array(c.count + tier.count);
+    magnitudes.set(c.magnitudes);
+    magnitudes.set(tier.magnitudes, c.count);
+    c.positions = positions;
+    c.magnitudes = magnitudes;
+    c.count += tier.count;
+  }
+
+  setBrightnessMultiplier(value) {
+    const scale = quality.isMobile ? MOBILE_BRIGHTNESS_SCALE : 1;
+    this.material.uniforms.brightnessMultiplier.value = value * scale;
+  }
+
+  /**
+   * Orient the starfield for the simulated instant and apply the atmosphere's
+   * extinction and twinkling, which fade out with the sky by the Karman line.
+   * @param {number} altitudeKm
+   * @param {THREE.Matrix4} equatorialToWorld - geocentric equatorial (x → equinox,
+   *   z → north pole) to world, built from sidereal time and the anchor longitude
+   */
+  update(altitudeKm, equatorialToWorld) {
+    // Catalog axes (x → RA 0h, y → north, z → RA 18h) into equatorial, then world.
+    // Only the rotation is used: the stars sit at infinity around the camera.
+    this.frame.matrix.multiplyMatrices(equatorialToWorld, CATALOG_TO_EQUATORIAL).setPosition(0, 0, 0);
+    this.frame.matrixWorldNeedsUpdate = true;
+
+    const uniforms = this.material.uniforms;
+    uniforms.atmosphere.value = getSkyBlendFactor(altitudeKm);
+    uniforms.time.value = performance.now() / 1000; // real time: twinkling doesn't speed up with the clock
   }
 }
@@ -5,6 +5,7 @@ export class Sun {
   constructor(scene) {
     this.group = new THREE.Group();
     scene.add(this.group);
+    this.occluded = false;
 
     // Bright sun sphere (HDR color for bloom through ACES tone mapping)
     const sunGeo = new THREE.SphereGeometry(SUN_VISUAL_RADIUS, 32, 32);
@@ -58,6 +59,7 @@ export class Sun {
     // i.e. -sunDir.y > cos(earthAngularRadius)
     const cosThreshold = Math.cos(earthAngularRadius);
     const occluded = -sunDirection.y > cosThreshold;
+    this.occluded = occluded;
 
     this.sunMesh.visible = !occluded;
     this.glowSprite.visible = !occluded;
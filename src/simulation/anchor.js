@@ -0,0 +1,94 @@
+import { ANCHOR_LAT, ANCHOR_LON } from '../constants.js';
+
+// Runtime anchor site. Everything that depends on where the cable meets the
+// ground (Earth orientation, the surface tiles, the sun/star frame and
+// local solar time) reads the current anchor from here.
+//
+// Only equatorial sites are physically possible: off the equator the
+// centrifugal pull has a component toward the equator, so a real tether would
+// be dragged sideways. Those presets exist to show why.
+
+export const ANCHOR_PRESETS = {
+  ecuador: { name: 'Ecuador (Pacific)', lat: ANCHOR_LAT, lon: ANCHOR_LON, label: 'West of Ecuador' },
+  kiribati: { name: 'Central Pacific', lat: 0, lon: -157.4, label: 'South of Kiritimati' },
+  guinea: { name: 'Gulf of Guinea', lat: 0, lon: 0, label: 'Gulf of Guinea' },
+  maldives: { name: 'Indian Ocean', lat: 0, lon: 73.5, label: 'South of the Maldives' },
+  borneo: { name: 'Borneo', lat: 0, lon: 109.3, label: 'Pontianak, Borneo' },
+  canaveral: { name: 'Cape Canaveral', lat: 28.4, lon: -80.6, label: 'Cape Canaveral, Florida' },
+  baikonur: { name: 'Baikonur', lat: 45.96, lon: 63.3, label: 'Baikonur Cosmodrome' },
+  london: { name: 'London', lat: 51.5, lon: -0.13, label: 'London' },
+};
+
+export const DEFAULT_ANCHOR_KEY = 'ecuador';
+
+// Sites this close to the equator count as equatorial
+const EQUATOR_TOLERANCE_DEG = 0.5;
+
+export function isEquatorialLatitude(latDeg) {
+  return Math.abs(latDeg) <= EQUATOR_TOLERANCE_DEG;
+}
+
+function makeAnchor(key, { name, lat, lon, label }) {
+  return {
+    key,
+    name,
+    label,
+    lat,
+    lon,
+    latRad: (lat * Math.PI) / 180,
+    lonRad: (lon * Math.PI) / 180,
+    equatorial: isEquatorialLatitude(lat),
+  };
+}
+
+let current = makeAnchor(DEFAULT_ANCHOR_KEY, ANCHOR_PRESETS[DEFAULT_ANCHOR_KEY]);
+
+export function getAnchor() {
+  return current;
+}
+
+/**
+ * Select the anchor from a preset key or a "lat,lon" string (degrees).
+ * Returns the new anchor, or null if the spec was not understood.
+ */
+export function setAnchor(spec) {
+  if (ANCHOR_PRESETS[spec]) {
+    current = makeAnchor(spec, ANCHOR_PRESETS[spec]);
+    return current;
+  }
+  const [lat, lon] = String(spec).split(',').map(parseFloat);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) >= 90) return null;
+  const wrappedLon = ((((lon + 180) % 360) + 360) % 360) - 180;
+  const coords = `${Math.abs(lat).toFixed(2)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(wrappedLon).toFixed(2)}°${wrappedLon >= 0 ? 'E' : 'W'}`;
+  current = makeAnchor(`${lat},${wrappedLon}`, { name: coords, lat, lon: wrappedLon, label: coords });
+  return current;
+}
+
+/**
+ * Euler angles (XYZ order) that rotate the Earth sphere so the anchor faces +Y.
+ * Longitude spins the anchor meridian toward +Z, then the tilt about X brings
+ * the anchor's latitude up to the zenith.
+ */
+export function getEarthRotation(anchor = current) {
+  return {
+    x: anchor.latRad - Math.PI / 2,
+    y: -(anchor.lonRad + Math.PI / 2),
+  };
+}
+
+/**
+ * Unit vector for a latitude/longitude (radians) in the Earth sphere's object
+ * frame (SphereGeometry's layout: +Y north, longitude 0 on +X, east toward −Z).
+ * @param {{set: Function}} target - e.g. a THREE.Vector3
+ */
+export function setGlobeDirection(target, lat, lon) {
+  return target.set(Math.cos(lat) * Math.cos(lon), Math.sin(lat), -Math.cos(lat) * Math.sin(lon));
+}
+
+/**
+ * Anchor longitude offset for UTC → local solar time (seconds).
+ * e.g. -80.25° west → -19260s (~5h 21m behind UTC)
+ */
+export function getAnchorLonOffsetSeconds(anchor = current) {
+  return (anchor.lonRad / (2 * Math.PI)) * 86400;
+}
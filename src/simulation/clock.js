@@ -0,0 +1,77 @@
+// Simulation clock: the single source of "now" (ms since the Unix epoch) for
+// the simulation, the UI and the API. It follows a time source (wall clock by
+// default) and can be paused, sought, sped up or slowed down, and shifted by a
+// fixed offset. Node scripts can swap in a fake source to drive everything
+// deterministically.
+//
+//   now = anchorMs + (source() - sourceAnchorMs) · rate + offsetMs
+// with the rate treated as 0 while paused. Every control re-anchors first, so
+// changes never make time jump.
+
+const clock = {
+  source: () => Date.now(),
+  anchorMs: 0,
+  sourceAnchorMs: 0,
+  rate: 1,
+  offsetMs: 0,
+  paused: false,
+};
+reanchor(clock.source());
+
+function base() {
+  const elapsed = clock.paused ? 0 : (clock.source() - clock.sourceAnchorMs) * clock.rate;
+  return clock.anchorMs + elapsed;
+}
+
+function reanchor(ms) {
+  clock.anchorMs = ms;
+  clock.sourceAnchorMs = clock.source();
+}
+
+/** Current simulation time (ms). */
+export function now() {
+  return base() + clock.offsetMs;
+}
+
+export function pauseClock() {
+  if (clock.paused) return;
+  reanchor(base());
+  clock.paused = true;
+}
+
+export function resumeClock() {
+  if (!clock.paused) return;
+  reanchor(clock.anchorMs);
+  clock.paused = false;
+}
+
+/** Jump to an absolute simulation time (ms); the offset still applies on top. */
+export function seekClock(ms) {
+  reanchor(ms - clock.offsetMs);
+}
+
+/** Clock speed relative to the source (1 = real time, 0.5 = half speed). */
+export function setClockRate(rate) {
+  if (!(rate >= 0)) return;
+  reanchor(base());
+  clock.rate = rate;
+}
+
+/** Fixed shift (ms) added to every reading, e.g. to preview another time of day. */
+export function setClockOffset(ms) {
+  clock.offsetMs = ms;
+}
+
+/**
+ * Replace the time source, e.g. with a fake for scripted runs in Node.
+ * The clock keeps reading the same time at the moment of the switch.
+ */
+export function setClockSource(source) {
+  const current = base();
+  clock.source = source;
+  reanchor(current);
+}
+
+export function getClockState() {
+  return { now: now(), rate: clock.rate, offsetMs: clock.offsetMs, paused: clock.paused };
+}
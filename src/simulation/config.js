@@ -0,0 +1,45 @@
+import { CABLE_LENGTH, GEO_ALTITUDE, MILESTONES } from '../constants.js';
+
+// Simulation configuration that can change at runtime. Anything that depends on
+// the tether geometry reads it from here instead of the CABLE_LENGTH default.
+
+// The counterweight has to sit above GEO or nothing holds the cable up; the
+// upper bound keeps the top station well inside the far clip plane.
+export const MIN_CABLE_LENGTH = GEO_ALTITUDE + 1000;
+export const MAX_CABLE_LENGTH = 150000;
+
+const config = {
+  cableLengthKm: CABLE_LENGTH, // counterweight station altitude
+};
+
+export function getSimulationConfig() {
+  return config;
+}
+
+export function isValidCableLength(km) {
+  return Number.isFinite(km) && km >= MIN_CABLE_LENGTH && km <= MAX_CABLE_LENGTH;
+}
+
+/**
+ * Merge a partial configuration. Out-of-range values are rejected
+ * (the current value is kept) and the resulting config is returned.
+ */
+export function setSimulationConfig({ cableLengthKm } = {}) {
+  if (isValidCableLength(cableLengthKm)) {
+    config.cableLengthKm = cableLengthKm;
+  }
+  return config;
+}
+
+/**
+ * Milestones for the current cable: the counterweight station moves to the
+ * top of the cable and anything beyond it is dropped.
+ */
+export function getMilestones() {
+  const top = config.cableLengthKm;
+  return MILESTONES
+    .map((m) => (m.counterweight
+      ? { ...m, altitude: top, sublabel: `${Math.round(top).toLocaleString('en-US')} km` }
+      : m))
+    .filter((m) => m.altitude <= top);
+}
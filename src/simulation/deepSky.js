@@ -0,0 +1,36 @@
+// Bright deep-sky objects drawn as soft sprites over the starfield.
+// J2000 positions; size is the apparent major × minor axis in degrees, the
+// position angle turns the major axis from north through east. Brightness is
+// a hand-tuned sprite opacity — surface brightness, not integrated magnitude,
+// is what makes these visible at all.
+
+const DEG = Math.PI / 180;
+const hms = (h, m, s) => (h + m / 60 + s / 3600) * 15 * DEG;
+
+export const DEEP_SKY_OBJECTS = [
+  {
+    key: 'm31', name: 'Andromeda Galaxy', type: 'galaxy', magnitude: 3.4,
+    rightAscension: hms(0, 42, 44.3), declination: 41.269 * DEG,
+    sizeDeg: [3.2, 1.0], positionAngleDeg: 35, color: [1.0, 0.92, 0.8], brightness: 0.35,
+  },
+  {
+    key: 'm42', name: 'Orion Nebula', type: 'nebula', magnitude: 4.0,
+    rightAscension: hms(5, 35, 17.3), declination: -5.391 * DEG,
+    sizeDeg: [1.1, 1.0], positionAngleDeg: 0, color: [1.0, 0.7, 0.8], brightness: 0.45,
+  },
+  {
+    key: 'm45', name: 'Pleiades', type: 'cluster', magnitude: 1.6,
+    rightAscension: hms(3, 47, 24), declination: 24.117 * DEG,
+    sizeDeg: [1.8, 1.8], positionAngleDeg: 0, color: [0.65, 0.78, 1.0], brightness: 0.25,
+  },
+  {
+    key: 'lmc', name: 'Large Magellanic Cloud', type: 'galaxy', magnitude: 0.9,
+    rightAscension: hms(5, 23, 34.5), declination: -69.756 * DEG,
+    sizeDeg: [10.8, 9.2], positionAngleDeg: 170, color: [0.9, 0.9, 1.0], brightness: 0.3,
+  },
+  {
+    key: 'smc', name: 'Small Magellanic Cloud', type: 'galaxy', magnitude: 2.7,
+    rightAscension: hms(0, 52, 38), declination: -72.8 * DEG,
+    sizeDeg: [5.3, 3.1], positionAngleDeg: 45, color: [0.9, 0.9, 1.0], brightness: 0.3,
+  },
+];
@@ -0,0 +1,134 @@
+// Low-precision solar and lunar ephemerides and Earth rotation (Astronomical
+// Almanac "low precision" formulas: ~0.01° for the sun and ~0.3° for the Moon
+// between 1950 and 2050).
+// Times are UTC milliseconds; angles are radians unless the name says otherwise.
+
+const DEG = Math.PI / 180;
+const EARTH_RADIUS_KM = 6378.14; // equatorial radius used by the lunar parallax series
+const MS_PER_DAY = 86_400_000;
+const J2000_MS = Date.UTC(2000, 0, 1, 12); // JD 2451545.0
+
+/** Days (fractional) since the J2000.0 epoch. */
+export function daysSinceJ2000(utcMs) {
+  return (utcMs - J2000_MS) / MS_PER_DAY;
+}
+
+/** Obliquity of the ecliptic. */
+export function getObliquity(utcMs) {
+  return (23.439 - 0.0000004 * daysSinceJ2000(utcMs)) * DEG;
+}
+
+function wrapTwoPi(angle) {
+  const twoPi = 2 * Math.PI;
+  return ((angle % twoPi) + twoPi) % twoPi;
+}
+
+// Wrap to (-π, π]
+function wrapPi(angle) {
+  return wrapTwoPi(angle + Math.PI) - Math.PI;
+}
+
+/**
+ * Greenwich mean sidereal time as an angle: the Earth's rotation relative to
+ * the stars. It gains one full turn per year on the solar day.
+ */
+export function getGreenwichSiderealAngle(utcMs) {
+  const d = daysSinceJ2000(utcMs);
+  return wrapTwoPi((280.46061837 + 360.98564736629 * d) * DEG);
+}
+
+/**
+ * Apparent position of the sun.
+ * @returns {{
+ *   rightAscension: number, declination: number, eclipticLongitude: number,
+ *   distanceAu: number, equationOfTimeS: number
+ * }}
+ * equationOfTimeS = apparent − mean solar time (sundial ahead of clock when positive).
+ */
+export function getSolarPosition(utcMs) {
+  const d = daysSinceJ2000(utcMs);
+  const meanLongitude = wrapTwoPi((280.460 + 0.9856474 * d) * DEG);
+  const meanAnomaly = wrapTwoPi((357.528 + 0.9856003 * d) * DEG);
+  const eclipticLongitude = wrapTwoPi(
+    meanLongitude + (1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG,
+  );
+  const obliquity = getObliquity(utcMs);
+
+  const rightAscension = wrapTwoPi(Math.atan2(
+    Math.cos(obliquity) * Math.sin(eclipticLongitude),
+    Math.cos(eclipticLongitude),
+  ));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  const distanceAu = 1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly);
+
+  // Mean sun runs at meanLongitude; the true sun's RA leads or lags it
+  const equationOfTimeS = (wrapPi(meanLongitude - rightAscension) / (2 * Math.PI)) * 86400;
+
+  return { rightAscension, declination, eclipticLongitude, distanceAu, equationOfTimeS };
+}
+
+/**
+ * Local hour angle of an object at a longitude — 0 on the meridian,
+ * positive (west) after transit. Wrapped to (-π, π].
+ */
+export function getHourAngle(utcMs, longitudeRad, rightAscension) {
+  return wrapPi(getGreenwichSiderealAngle(utcMs) + longitudeRad - rightAscension);
+}
+
+/**
+ * Local apparent solar time at a longitude, in seconds after midnight
+ * (what a sundial reads: mean solar time plus the equation of time).
+ */
+export function getApparentSolarSeconds(utcMs, longitudeRad) {
+  const { rightAscension } = getSolarPosition(utcMs);
+  const hourAngle = getHourAngle(utcMs, longitudeRad, rightAscension);
+  return ((hourAngle / (2 * Math.PI)) * 86400 + 43200 + 86400) % 86400;
+}
+
+/**
+ * Ecliptic (longitude, latitude) to equatorial (right ascension, declination).
+ */
+export function eclipticToEquatorial(longitude, latitude, obliquity) {
+  const sinLon = Math.sin(longitude);
+  const rightAscension = wrapTwoPi(Math.atan2(
+    sinLon * Math.cos(obliquity) - Math.tan(latitude) * Math.sin(obliquity),
+    Math.cos(longitude),
+  ));
+  const declination = Math.asin(
+    Math.sin(latitude) * Math.cos(obliquity) + Math.cos(latitude) * Math.sin(obliquity) * sinLon,
+  );
+  return { rightAscension, declination };
+}
+
+/**
+ * Geocentric position of the Moon.
+ * @returns {{
+ *   rightAscension: number, declination: number,
+ *   eclipticLongitude: number, eclipticLatitude: number, distanceKm: number
+ * }}
+ */
+export function getLunarPosition(utcMs) {
+  const T = daysSinceJ2000(utcMs) / 36525; // Julian centuries
+  const s = (a, b) => Math.sin((a + b * T) * DEG);
+  const c = (a, b) => Math.cos((a + b * T) * DEG);
+
+  const eclipticLongitude = wrapTwoPi((218.32 + 481267.881 * T
+    + 6.29 * s(135.0, 477198.87) - 1.27 * s(259.3, -413335.36)
+    + 0.66 * s(235.7, 890534.22) + 0.21 * s(269.9, 954397.74)
+    - 0.19 * s(357.5, 35999.05) - 0.11 * s(186.5, 966404.03)) * DEG);
+  const eclipticLatitude = (5.13 * s(93.3, 483202.02) + 0.28 * s(228.2, 960400.89)
+    - 0.28 * s(318.3, 6003.15) - 0.17 * s(217.6, -407332.21)) * DEG;
+  const parallax = (0.9508 + 0.0518 * c(135.0, 477198.87) + 0.0095 * c(259.3, -413335.36)
+    + 0.0078 * c(235.7, 890534.22) + 0.0028 * c(269.9, 954397.74)) * DEG;
+
+  const { rightAscension, declination } = eclipticToEquatorial(
+    eclipticLongitude, eclipticLatitude, getObliquity(utcMs),
+  );
+  return {
+    rightAscension,
+    declination,
+    eclipticLongitude,
+    eclipticLatitude,
+    distanceKm: EARTH_RADIUS_KM / Math.sin(parallax),
+  };
+}
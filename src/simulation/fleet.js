@@ -0,0 +1,66 @@
+import { CLIMBER_FLEET_SIZE, CLIMBER_VISUAL_RANGE_KM } from '../constants.js';
+import { getUTCSyncState, getRealtimeCycleMs } from './state.js';
+
+// Climber fleet: several climbers run the real-time schedule on parallel tracks,
+// staggered evenly around the round trip. Climber 1 is the rider's own slot;
+// the others are tracked here so they can be drawn and their passings announced.
+
+const fleet = {
+  climbers: [],
+  // Last non-zero side (+1 above, -1 below) of each climber relative to the rider
+  _sides: new Map(),
+};
+
+/**
+ * Schedule state for every climber except the rider's.
+ * Climber n runs (n - 1) / size of a cycle ahead of the rider's slot.
+ * @param {number} clockMs - fleet schedule clock (UTC-like ms)
+ */
+export function computeFleet(clockMs, size = CLIMBER_FLEET_SIZE) {
+  const cycleMs = getRealtimeCycleMs();
+  const climbers = [];
+  for (let i = 1; i < size; i++) {
+    const offsetMs = (i / size) * cycleMs;
+    const sync = getUTCSyncState(clockMs + offsetMs);
+    climbers.push({
+      id: i + 1,
+      track: i,
+      offsetMs,
+      altitudeKm: sync.altitudeKm,
+      velocityKmh: sync.velocityKmh,
+      direction: sync.direction,
+      phase: sync.phase,
+    });
+  }
+  return climbers;
+}
+
+/**
+ * Advance the fleet and report climbers that crossed the rider's altitude.
+ * Only crossings that end within visual range count, so teleports and
+ * schedule jumps don't announce passings nobody saw.
+ * @returns {Array<{id: number, direction: number, altitudeKm: number}>}
+ */
+export function updateFleet(clockMs, riderAltitudeKm) {
+  fleet.climbers = computeFleet(clockMs);
+  const passings = [];
+  for (const c of fleet.climbers) {
+    const diff = c.altitudeKm - riderAltitudeKm;
+    const side = Math.sign(diff);
+    if (side === 0) {
+      // Level with the rider (e.g. both docked at a station) — leaving isn't a pass
+      fleet._sides.delete(c.id);
+      continue;
+    }
+    const prevSide = fleet._sides.get(c.id);
+    fleet._sides.set(c.id, side);
+    if (prevSide !== undefined && prevSide !== side && Math.abs(diff) < CLIMBER_VISUAL_RANGE_KM) {
+      passings.push({ id: c.id, direction: c.direction, altitudeKm: c.altitudeKm });
+    }
+  }
+  return passings;
+}
+
+export function getFleet() {
+  return fleet.climbers;
+}
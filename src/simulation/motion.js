@@ -0,0 +1,259 @@
+import { CLIMBER_MAX_ACCEL, CLIMBER_MAX_JERK } from '../constants.js';
+
+// Jerk-limited ("S-curve") climber motion.
+// A profile is a list of constant-jerk phases, each storing its start time and
+// the kinematic state (x km, v km/s, a km/s²) at that moment, so any instant can
+// be sampled in closed form. Profiles always end at rest.
+
+export const DEFAULT_MOTION_LIMITS = {
+  maxAccel: CLIMBER_MAX_ACCEL, // m/s²
+  maxJerk: CLIMBER_MAX_JERK, // m/s³
+};
+
+const PEAK_SEARCH_ITERATIONS = 40;
+const CRUISE_STEPS = 4000; // slices used to integrate variable cruise speed
+
+/**
+ * Advance a kinematic state through one constant-jerk phase.
+ */
+function advance(s, jerk, t) {
+  return {
+    x: s.x + s.v * t + (s.a * t * t) / 2 + (jerk * t * t * t) / 6,
+    v: s.v + s.a * t + (jerk * t * t) / 2,
+    a: s.a + jerk * t,
+  };
+}
+
+function advanceAll(s, phases) {
+  let out = s;
+  for (const p of phases) out = advance(out, p.jerk, p.duration);
+  return out;
+}
+
+/**
+ * Phases that change velocity by dv (km/s), starting and ending at zero acceleration.
+ * Uses a trapezoidal acceleration pulse, or a triangular one when dv is too small
+ * to reach maxAccel.
+ */
+function rampPhases(dv, a, j) {
+  const mag = Math.abs(dv);
+  if (mag < 1e-12) return [];
+  const sign = Math.sign(dv);
+
+  if (mag >= (a * a) / j) {
+    const tj = a / j;
+    const ta = mag / a - tj;
+    return [
+      { duration: tj, jerk: sign * j },
+      { duration: ta, jerk: 0 },
+      { duration: tj, jerk: -sign * j },
+    ];
+  }
+  const tj = Math.sqrt(mag / j);
+  return [
+    { duration: tj, jerk: sign * j },
+    { duration: tj, jerk: -sign * j },
+  ];
+}
+
+function buildProfile(start, phases) {
+  const out = [];
+  let s = start;
+  let t = 0;
+  for (const p of phases) {
+    if (p.duration <= 0) continue;
+    out.push({ start: t, duration: p.duration, jerk: p.jerk, ...s });
+    s = advance(s, p.jerk, p.duration);
+    t += p.duration;
+  }
+  return { phases: out, duration: t, start, end: { ...s, a: 0 } };
+}
+
+/**
+ * Plan a jerk-limited move from an arbitrary kinematic state.
+ *
+ * The climber unwinds any residual acceleration, ramps toward the commanded
+ * cruise velocity, cruises, then brakes to rest exactly at the cable end it is
+ * heading for. When the remaining distance is too short to reach cruise, the
+ * peak speed is lowered so braking still lands on the endpoint.
+ *
+ * @param {object} opts
+ * @param {number} opts.x0 - start altitude (km)
+ * @param {number} [opts.v0=0] - start velocity (km/s, signed)
+ * @param {number} [opts.a0=0] - start acceleration (km/s², signed)
+ * @param {number} opts.cruise - commanded velocity (km/s, signed; 0 = stop)
+ * @param {number} opts.xMin - lower endpoint (km)
+ * @param {number} opts.xMax - upper endpoint (km)
+ * @param {{maxAccel: number, maxJerk: number}} [opts.limits] - m/s², m/s³
+ */
+export function planMotion({ x0, v0 = 0, a0 = 0, cruise, xMin, xMax, limits = DEFAULT_MOTION_LIMITS }) {
+  const a = limits.maxAccel / 1000; // km/s²
+  const j = limits.maxJerk / 1000; // km/s³
+  const start = { x: x0, v: v0, a: a0 };
+
+  // Bring acceleration back to zero first so the ramps below start from a clean state
+  const unwind = a0 !== 0 ? [{ duration: Math.abs(a0) / j, jerk: -Math.sign(a0) * j }] : [];
+  const settled = advanceAll(start, unwind);
+
+  if (cruise === 0) {
+    return buildProfile(start, [...unwind, ...rampPhases(-settled.v, a, j)]);
+  }
+
+  const dir = Math.sign(cruise);
+  const endpoint = dir > 0 ? xMax : xMin;
+
+  // Distance (along dir) needed to reach vPeak and brake back to rest
+  const tryPeak = (vPeak) => {
+    const up = rampPhases(dir * vPeak - settled.v, a, j);
+    const down = rampPhases(-dir * vPeak, a, j);
+    const stop = advanceAll(advanceAll(settled, up), down);
+    return { up, down, travel: dir * (stop.x - settled.x) };
+  };
+
+  const remaining = dir * (endpoint - settled.x);
+  const full = tryPeak(Math.abs(cruise));
+  if (full.travel <= remaining) {
+    const coast = (remaining - full.travel) / Math.abs(cruise);
+    return buildProfile(start, [...unwind, ...full.up, { duration: coast, jerk: 0 }, ...full.down]);
+  }
+
+  let lo = Math.max(0, dir * settled.v);
+  let hi = Math.abs(cruise);
+  if (tryPeak(lo).travel > remaining) {
+    // Already too fast (or past the endpoint) — brake as hard as allowed
+    return buildProfile(start, [...unwind, ...rampPhases(-settled.v, a, j)]);
+  }
+  for (let i = 0; i < PEAK_SEARCH_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    if (tryPeak(mid).travel <= remaining) lo = mid; else hi = mid;
+  }
+  const fit = tryPeak(lo);
+  return buildProfile(start, [...unwind, ...fit.up, ...fit.down]);
+}
+
+/**
+ * Plan a bare velocity ramp from vFrom to vTo (km/s), starting at x = 0.
+ */
+export function planRamp(vFrom, vTo, limits = DEFAULT_MOTION_LIMITS) {
+  const a = limits.maxAccel / 1000;
+  const j = limits.maxJerk / 1000;
+  return buildProfile({ x: 0, v: vFrom, a: 0 }, rampPhases(vTo - vFrom, a, j));
+}
+
+/**
+ * Sample a profile at t seconds after its start.
+ * Returns { x, v, a, done } in km, km/s, km/s².
+ */
+export function sampleProfile(profile, t) {
+  if (t >= profile.duration) return { ...profile.end, done: true };
+  if (t <= 0) return { ...profile.start, done: false };
+
+  let phase = profile.phases[0];
+  for (const p of profile.phases) {
+    if (p.start > t) break;
+    phase = p;
+  }
+  return { ...advance(phase, phase.jerk, t - phase.start), done: false };
+}
+
+/**
+ * Plan a rest-to-rest trip whose cruise speed varies with distance travelled.
+ *
+ * The departure ramp and arrival braking are jerk-limited as in planMotion; in
+ * between, speedAt(x) (km/h) is integrated over CRUISE_STEPS slices into a
+ * cumulative time table that can be sampled or inverted.
+ *
+ * @param {number} distanceKm - trip length
+ * @param {(x: number) => number} speedAt - cruise speed (km/h) at distance x from the start
+ * @param {{maxAccel: number, maxJerk: number}} [limits]
+ */
+export function planScheduledTrip(distanceKm, speedAt, limits = DEFAULT_MOTION_LIMITS) {
+  // Ramp targets use the speed where each ramp meets the cruise section
+  let depart = planRamp(0, speedAt(0) / 3600, limits);
+  depart = planRamp(0, speedAt(depart.end.x) / 3600, limits);
+  let arrive = planRamp(speedAt(distanceKm) / 3600, 0, limits);
+  arrive = planRamp(speedAt(distanceKm - arrive.end.x) / 3600, 0, limits);
+
+  const cruiseStart = depart.end.x;
+  const cruiseEnd = distanceKm - arrive.end.x;
+  const step = Math.max(0, cruiseEnd - cruiseStart) / CRUISE_STEPS;
+  const xs = [cruiseStart];
+  const ts = [depart.duration];
+  const vs = [];
+  for (let i = 0; i < CRUISE_STEPS; i++) {
+    const v = speedAt(cruiseStart + (i + 0.5) * step) / 3600; // km/s
+    vs.push(v);
+    xs.push(cruiseStart + (i + 1) * step);
+    ts.push(ts[i] + (v > 0 ? step / v : 0));
+  }
+
+  return {
+    distanceKm,
+    depart,
+    arrive,
+    xs,
+    ts,
+    vs,
+    cruiseEndS: ts[CRUISE_STEPS],
+    duration: ts[CRUISE_STEPS] + arrive.duration,
+  };
+}
+
+/**
+ * Sample a scheduled trip at t seconds after departure.
+ * Returns { x, v, a, done } in km, km/s, km/s².
+ */
+export function sampleScheduledTrip(trip, t) {
+  if (t < trip.depart.duration) return sampleProfile(trip.depart, t);
+  if (t >= trip.cruiseEndS) {
+    const s = sampleProfile(trip.arrive, t - trip.cruiseEndS);
+    return { ...s, x: trip.xs[CRUISE_STEPS] + s.x };
+  }
+  const i = Math.min(CRUISE_STEPS - 1, upperIndex(trip.ts, t) - 1);
+  const v = trip.vs[i];
+  // Cruise acceleration is the slope between neighbouring slices
+  const next = trip.vs[Math.min(CRUISE_STEPS - 1, i + 1)];
+  const dt = trip.ts[i + 1] - trip.ts[i];
+  return {
+    x: trip.xs[i] + v * (t - trip.ts[i]),
+    v,
+    a: dt > 0 ? (next - v) / dt : 0,
+    done: false,
+  };
+}
+
+/**
+ * Seconds after departure at which a scheduled trip reaches distance x.
+ */
+export function scheduledTripTimeAt(trip, x) {
+  if (x <= 0) return 0;
+  if (x >= trip.distanceKm) return trip.duration;
+  if (x < trip.xs[0]) return timeAtDistance(trip.depart, x);
+  if (x > trip.xs[CRUISE_STEPS]) {
+    return trip.cruiseEndS + timeAtDistance(trip.arrive, x - trip.xs[CRUISE_STEPS]);
+  }
+  const i = Math.min(CRUISE_STEPS - 1, upperIndex(trip.xs, x) - 1);
+  return trip.ts[i] + (trip.vs[i] > 0 ? (x - trip.xs[i]) / trip.vs[i] : 0);
+}
+
+// First index whose value exceeds target (arrays are ascending)
+function upperIndex(arr, target) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid] <= target) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// Invert a monotonic ramp profile by bisection
+function timeAtDistance(profile, x) {
+  let lo = 0;
+  let hi = profile.duration;
+  for (let i = 0; i < PEAK_SEARCH_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2;
+    if (sampleProfile(profile, mid).x < x) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
@@ -1,4 +1,5 @@
-import { EARTH_RADIUS, SURFACE_GRAVITY, EARTH_ROTATION_RATE, SKY_FULL_BLUE, SKY_FADE_END, GROUND_PLANE_FADE_START, GROUND_PLANE_FADE_END } from '../constants.js';
+import { EARTH_RADIUS, SURFACE_GRAVITY, EARTH_ROTATION_RATE, SKY_FULL_BLUE, SKY_FADE_END } from '../constants.js';
+import { getAnchor } from './anchor.js';
 
 /**
  * Effective gravity at altitude h (km). Returns m/s².
@@ -12,6 +13,39 @@ export function getEffectiveGravity(altitudeKm) {
   return gravitational - centrifugal;
 }
 
+/**
+ * Full effective acceleration felt inside the cabin (m/s²), in the local
+ * East/North/radial frame of the cable at the given altitude.
+ *
+ * - radial: gravity minus centrifugal plus the climber's own acceleration
+ *   (same sign convention as getEffectiveGravity: positive = toward the floor)
+ * - east: Coriolis, -2Ω·cos(lat)·v — loose objects drift west while climbing
+ *   (the cable pushes the climber east to keep it co-rotating, so the cable
+ *   itself leans westward under the load) and east while descending
+ * - north: equatorward centrifugal component, zero for an equatorial anchor
+ *
+ * @param {number} altitudeKm
+ * @param {number} [climbRateKmh=0] - signed, positive = ascending
+ * @param {number} [climbAccelMs2=0] - signed, positive = accelerating upward
+ * @param {number} [latitudeRad] - defaults to the current anchor's latitude
+ * @returns {{radial: number, east: number, north: number}}
+ */
+export function getEffectiveAcceleration(altitudeKm, climbRateKmh = 0, climbAccelMs2 = 0, latitudeRad = getAnchor().latRad) {
+  const R = EARTH_RADIUS;
+  const r = R + altitudeKm;
+  const omega = EARTH_ROTATION_RATE;
+  const cosLat = Math.cos(latitudeRad);
+  const gravitational = SURFACE_GRAVITY * (R / r) * (R / r);
+  const centrifugal = omega * omega * r * 1000; // about the polar axis, m/s²
+  const climbRate = climbRateKmh / 3.6; // m/s
+
+  return {
+    radial: gravitational - centrifugal * cosLat * cosLat + climbAccelMs2,
+    east: -2 * omega * cosLat * climbRate,
+    north: -centrifugal * cosLat * Math.sin(latitudeRad),
+  };
+}
+
 /**
  * Sky blend factor: 1.0 = full blue sky, 0.0 = fully transparent (space)
  */
@@ -28,23 +62,3 @@ export function getEarthAngularDiameter(altitudeKm) {
   const r = EARTH_RADIUS + altitudeKm;
   return 2 * Math.asin(EARTH_RADIUS / r) * (180 / Math.PI);
 }
-
-/**
- * Atmosphere opacity (for glow effect). 0 at surface, peaks around 100-400 km, fades at higher altitudes.
- */
-export function getAtmosphereOpacity(altitudeKm) {
-  if (altitudeKm < 50) return 0;
-  if (altitudeKm < 200) return (altitudeKm - 50) / 150;
-  if (altitudeKm < 2000) return 1.0;
-  if (altitudeKm < 20000) return 1.0 - (altitudeKm - 2000) / 18000 * 0.5;
-  return 0.5;
-}
-
-/**
- * Ground plane opacity — visible at low altitudes, fades out.
- */
-export function getGroundPlaneOpacity(altitudeKm) {
-  if (altitudeKm <= GROUND_PLANE_FADE_START) return 1.0;
-  if (altitudeKm >= GROUND_PLANE_FADE_END) return 0.0;
-  return 1.0 - (altitudeKm - GROUND_PLANE_FADE_START) / (GROUND_PLANE_FADE_END - GROUND_PLANE_FADE_START);
-}
@@ -0,0 +1,113 @@
+import { daysSinceJ2000 } from './ephemeris.js';
+
+// Geocentric positions and magnitudes of the naked-eye planets from mean
+// Keplerian elements (Standish, "Approximate Positions of the Major Planets",
+// JPL — valid 1800–2050 to a few arcminutes). Elements are J2000 ecliptic:
+// a (AU), e, I, L, ϖ (longitude of perihelion), Ω (node) in degrees, each with
+// a rate per Julian century.
+
+const DEG = Math.PI / 180;
+const J2000_OBLIQUITY = 23.43928 * DEG;
+
+const ELEMENTS = {
+  earth: {
+    a: [1.00000261, 0.00000562], e: [0.01671123, -0.00004392], I: [-0.00001531, -0.01294668],
+    L: [100.46457166, 35999.37244981], peri: [102.93768193, 0.32327364], node: [0, 0],
+  },
+  venus: {
+    a: [0.72333566, 0.0000039], e: [0.00677672, -0.00004107], I: [3.39467605, -0.0007889],
+    L: [181.9790995, 58517.81538729], peri: [131.60246718, 0.00268329], node: [76.67984255, -0.27769418],
+  },
+  mars: {
+    a: [1.52371034, 0.00001847], e: [0.0933941, 0.00007882], I: [1.84969142, -0.00813131],
+    L: [-4.55343205, 19140.30268499], peri: [-23.94362959, 0.44441088], node: [49.55953891, -0.29257343],
+  },
+  jupiter: {
+    a: [5.20288700, -0.00011607], e: [0.04838624, -0.00013253], I: [1.30439695, -0.00183714],
+    L: [34.39644051, 3034.74612775], peri: [14.72847983, 0.21252668], node: [100.47390909, 0.20469106],
+  },
+  saturn: {
+    a: [9.53667594, -0.0012506], e: [0.05386179, -0.00050991], I: [2.48599187, 0.00193609],
+    L: [49.95424423, 1222.49362201], peri: [92.59887831, -0.41897216], node: [113.66242448, -0.28867794],
+  },
+};
+
+// Visual magnitude: V = V0 + 5 log10(r Δ) + phase term (i in degrees)
+const MAGNITUDE = {
+  venus: { v0: -4.40, phase: (i) => 0.0009 * i + 0.000239 * i * i - 0.00000065 * i * i * i },
+  mars: { v0: -1.52, phase: (i) => 0.016 * i },
+  jupiter: { v0: -9.40, phase: (i) => 0.005 * i },
+  saturn: { v0: -8.88, phase: (i) => 0.044 * i }, // rings ignored
+};
+
+export const PLANETS = [
+  { key: 'venus', name: 'Venus', color: [1.0, 0.97, 0.88] },
+  { key: 'mars', name: 'Mars', color: [1.0, 0.62, 0.42] },
+  { key: 'jupiter', name: 'Jupiter', color: [1.0, 0.94, 0.84] },
+  { key: 'saturn', name: 'Saturn', color: [1.0, 0.9, 0.68] },
+];
+
+// Heliocentric J2000 ecliptic position (AU)
+function heliocentric(el, T) {
+  const at = ([v, rate]) => v + rate * T;
+  const a = at(el.a);
+  const e = at(el.e);
+  const I = at(el.I) * DEG;
+  const L = at(el.L);
+  const peri = at(el.peri);
+  const node = at(el.node) * DEG;
+  const argPeri = peri * DEG - node;
+
+  // Mean anomaly → eccentric anomaly (Newton)
+  const M = ((((L - peri) % 360) + 540) % 360 - 180) * DEG;
+  let E = M + e * Math.sin(M);
+  for (let k = 0; k < 6; k++) E -= (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+
+  const xOrb = a * (Math.cos(E) - e);
+  const yOrb = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  const cw = Math.cos(argPeri), sw = Math.sin(argPeri);
+  const cn = Math.cos(node), sn = Math.sin(node);
+  const ci = Math.cos(I), si = Math.sin(I);
+  return {
+    x: (cw * cn - sw * sn * ci) * xOrb + (-sw * cn - cw * sn * ci) * yOrb,
+    y: (cw * sn + sw * cn * ci) * xOrb + (-sw * sn + cw * cn * ci) * yOrb,
+    z: sw * si * xOrb + cw * si * yOrb,
+  };
+}
+
+/**
+ * Geocentric equatorial (J2000) positions of the naked-eye planets.
+ * @returns {Array<{key: string, name: string, color: number[], rightAscension: number,
+ *   declination: number, distanceAu: number, magnitude: number}>}
+ */
+export function getPlanetPositions(utcMs) {
+  const T = daysSinceJ2000(utcMs) / 36525;
+  const earth = heliocentric(ELEMENTS.earth, T);
+  const earthSunAu = Math.hypot(earth.x, earth.y, earth.z);
+
+  return PLANETS.map((planet) => {
+    const p = heliocentric(ELEMENTS[planet.key], T);
+    const gx = p.x - earth.x;
+    const gy = p.y - earth.y;
+    const gz = p.z - earth.z;
+    const delta = Math.hypot(gx, gy, gz);
+    const r = Math.hypot(p.x, p.y, p.z);
+
+    // Ecliptic → equatorial
+    const ce = Math.cos(J2000_OBLIQUITY), se = Math.sin(J2000_OBLIQUITY);
+    const ex = gx;
+    const ey = gy * ce - gz * se;
+    const ez = gy * se + gz * ce;
+
+    const phaseAngle = Math.acos(Math.max(-1, Math.min(1, (r * r + delta * delta - earthSunAu * earthSunAu) / (2 * r * delta)))) / DEG;
+    const mag = MAGNITUDE[planet.key];
+    return {
+      ...planet,
+      rightAscension: (Math.atan2(ey, ex) + 2 * Math.PI) % (2 * Math.PI),
+      declination: Math.asin(ez / delta),
+      distanceAu: delta,
+      magnitude: mag.v0 + 5 * Math.log10(r * delta) + mag.phase(phaseAngle),
+    };
+  });
+}
@@ -0,0 +1,70 @@
+import { twoline2satrec, propagate } from 'satellite.js';
+
+// Satellites from a CelesTrak two-line element file, propagated with SGP4/SDP4.
+// The file groups element sets under "# group: <name>" comment lines
+// (see scripts/download-tle.mjs); other "#" lines are ignored.
+// Positions are geocentric TEME km — close enough to the equator and equinox
+// of date that the rest of the sky frame can treat them as equatorial.
+
+// Groups worth a name tag on screen regardless of distance
+export const LABELED_GROUPS = new Set(['iss', 'hubble']);
+
+let satellites = [];
+
+/**
+ * Parse TLE text into satellite records. Malformed element sets are skipped.
+ * @returns {Array<{name: string, catalogNumber: number, group: string, satrec: object}>}
+ */
+export function parseTle(text) {
+  const out = [];
+  let group = 'other';
+  const lines = text.split(/\r?\n/).map((l) => l.trimEnd()).filter(Boolean);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('#')) {
+      const m = line.match(/^#\s*group:\s*(\S+)/i);
+      if (m) group = m[1].toLowerCase();
+      continue;
+    }
+    // Name line followed by lines 1 and 2
+    const l1 = lines[i + 1];
+    const l2 = lines[i + 2];
+    if (!l1?.startsWith('1 ') || !l2?.startsWith('2 ')) continue;
+    i += 2;
+    try {
+      const satrec = twoline2satrec(l1, l2);
+      if (satrec.error) continue;
+      out.push({ name: line.trim(), catalogNumber: parseInt(l1.slice(2, 7)), group, satrec });
+    } catch {
+      // skip unparseable element set
+    }
+  }
+  return out;
+}
+
+/**
+ * Replace the active satellite set from TLE text.
+ * @returns {number} number of satellites loaded
+ */
+export function loadSatellites(text) {
+  satellites = parseTle(text).map((s) => ({ ...s, position: null }));
+  return satellites.length;
+}
+
+export function getSatellites() {
+  return satellites;
+}
+
+/**
+ * Propagate every satellite to a UTC instant. Each record's `position` becomes
+ * a geocentric {x, y, z} in km, or null where SGP4 fails (e.g. decayed orbits
+ * far from their epoch).
+ */
+export function propagateSatellites(utcMs) {
+  const date = new Date(utcMs);
+  for (const sat of satellites) {
+    const pv = propagate(sat.satrec, date);
+    sat.position = pv && pv.position ? pv.position : null;
+  }
+  return satellites;
+}
@@ -0,0 +1,321 @@
+import { EARTH_RADIUS, ATMO_THICKNESS } from '../constants.js';
+
+// Single + approximate multiple Rayleigh/Mie scattering (Bruneton & Neyret 2008,
+// Hillaire 2020). Lookup tables are built once on the CPU and shared by the sky
+// dome shader and the frame-rate independent bits of the app (sky brightness).
+// Distances in km, coefficients per km, radiance in units of the sun's
+// irradiance before exposure.
+
+export const ATMOSPHERE = {
+  bottomRadius: EARTH_RADIUS,
+  topRadius: EARTH_RADIUS + ATMO_THICKNESS,
+  rayleighScattering: [5.802e-3, 13.558e-3, 33.1e-3],
+  rayleighScaleHeight: 8,
+  mieScattering: 3.996e-3,
+  mieExtinction: 4.44e-3,
+  mieScaleHeight: 1.2,
+  mieG: 0.8,
+  // Ozone only absorbs; its tent-shaped layer keeps twilight zeniths blue
+  ozoneAbsorption: [0.650e-3, 1.881e-3, 0.085e-3],
+  ozoneCenter: 25,
+  ozoneHalfWidth: 15,
+  groundAlbedo: 0.3,
+  sunIntensity: 12, // exposure: noon sky at sea level lands mid-range for ACES
+};
+
+// Sky luminance (after exposure) at which the sky fully veils what is behind it —
+// the eye can't pick stars out of a sky brighter than this
+export const VEIL_LUMINANCE = 0.05;
+
+export const TRANSMITTANCE_LUT_SIZE = [256, 64]; // view zenith × altitude
+export const MULTI_SCATTERING_LUT_SIZE = [32, 16]; // sun zenith × altitude
+
+const TRANSMITTANCE_STEPS = 40;
+const MULTI_SCATTERING_DIRECTIONS = 64;
+const MULTI_SCATTERING_STEPS = 20;
+const SKY_STEPS = 16;
+
+let luts = null;
+
+// Scratch outputs: the table builds run millions of samples, so no per-sample arrays
+const _density = [0, 0, 0];
+const _extinction = [0, 0, 0];
+const _sunT = [0, 0, 0];
+const _ms = [0, 0, 0];
+
+// Rayleigh, Mie and ozone densities at altitude h, relative to sea level
+function density(h) {
+  const a = ATMOSPHERE;
+  _density[0] = Math.exp(-h / a.rayleighScaleHeight);
+  _density[1] = Math.exp(-h / a.mieScaleHeight);
+  _density[2] = Math.max(0, 1 - Math.abs(h - a.ozoneCenter) / a.ozoneHalfWidth);
+  return _density;
+}
+
+function extinctionAt(h) {
+  const a = ATMOSPHERE;
+  const d = density(h);
+  for (let c = 0; c < 3; c++) {
+    _extinction[c] = a.rayleighScattering[c] * d[0] + a.mieExtinction * d[1] + a.ozoneAbsorption[c] * d[2];
+  }
+  return _extinction;
+}
+
+// Distance from radius r along a ray with zenith cosine mu to a sphere of radius R
+// (the far intersection; the caller knows the ray starts inside)
+function distanceToSphere(r, mu, R) {
+  const disc = r * r * (mu * mu - 1) + R * R;
+  return Math.max(0, -r * mu + Math.sqrt(Math.max(disc, 0)));
+}
+
+// Near intersection with the ground, for rays that hit it
+function distanceToGround(r, mu) {
+  const R = ATMOSPHERE.bottomRadius;
+  return Math.max(0, -r * mu - Math.sqrt(Math.max(r * r * (mu * mu - 1) + R * R, 0)));
+}
+
+function rayHitsGround(r, mu) {
+  const R = ATMOSPHERE.bottomRadius;
+  return mu < 0 && r * r * (mu * mu - 1) + R * R >= 0;
+}
+
+const unitToTexel = (x, size) => 0.5 / size + x * (1 - 1 / size);
+const texelToUnit = (u, size) => (u - 0.5 / size) / (1 - 1 / size);
+
+// Transmittance LUT parameterization (Bruneton): altitude by horizon distance,
+// view zenith by distance to the top so texels crowd near the horizon
+function transmittanceUv(r, mu) {
+  const { bottomRadius: Rb, topRadius: Rt } = ATMOSPHERE;
+  const H = Math.sqrt(Rt * Rt - Rb * Rb);
+  const rho = Math.sqrt(Math.max(r * r - Rb * Rb, 0));
+  const d = distanceToSphere(r, mu, Rt);
+  const dMin = Rt - r;
+  const dMax = rho + H;
+  return [(d - dMin) / (dMax - dMin), rho / H];
+}
+
+function transmittanceParams(xMu, xR) {
+  const { bottomRadius: Rb, topRadius: Rt } = ATMOSPHERE;
+  const H = Math.sqrt(Rt * Rt - Rb * Rb);
+  const rho = H * xR;
+  const r = Math.sqrt(rho * rho + Rb * Rb);
+  const dMin = Rt - r;
+  const dMax = rho + H;
+  const d = dMin + xMu * (dMax - dMin);
+  const mu = d === 0 ? 1 : (H * H - rho * rho - d * d) / (2 * r * d);
+  return [r, Math.max(-1, Math.min(1, mu))];
+}
+
+function computeTransmittance(r, mu) {
+  const length = distanceToSphere(r, mu, ATMOSPHERE.topRadius);
+  const dt = length / TRANSMITTANCE_STEPS;
+  const depth = [0, 0, 0];
+  for (let i = 0; i <= TRANSMITTANCE_STEPS; i++) {
+    const t = i * dt;
+    const h = Math.sqrt(t * t + 2 * r * mu * t + r * r) - ATMOSPHERE.bottomRadius;
+    const e = extinctionAt(h);
+    const w = i === 0 || i === TRANSMITTANCE_STEPS ? 0.5 : 1; // trapezoid
+    for (let c = 0; c < 3; c++) depth[c] += e[c] * w * dt;
+  }
+  return depth.map((tau) => Math.exp(-tau));
+}
+
+function sampleLut(lut, size, x, y, out) {
+  const [w, h] = size;
+  const fx = Math.min(Math.max(x * w - 0.5, 0), w - 1);
+  const fy = Math.min(Math.max(y * h - 0.5, 0), h - 1);
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(x0 + 1, w - 1);
+  const y1 = Math.min(y0 + 1, h - 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+  for (let c = 0; c < 3; c++) {
+    const a = lut[(y0 * w + x0) * 4 + c] * (1 - tx) + lut[(y0 * w + x1) * 4 + c] * tx;
+    const b = lut[(y1 * w + x0) * 4 + c] * (1 - tx) + lut[(y1 * w + x1) * 4 + c] * tx;
+    out[c] = a * (1 - ty) + b * ty;
+  }
+  return out;
+}
+
+// Transmittance to the sun from radius r, zero inside the planet's shadow
+function sunTransmittance(transmittance, r, muS) {
+  if (rayHitsGround(r, muS)) {
+    _sunT.fill(0);
+    return _sunT;
+  }
+  const [xMu, xR] = transmittanceUv(r, muS);
+  const size = TRANSMITTANCE_LUT_SIZE;
+  return sampleLut(transmittance, size, unitToTexel(xMu, size[0]), unitToTexel(xR, size[1]), _sunT);
+}
+
+export function rayleighPhase(cosTheta) {
+  return (3 / (16 * Math.PI)) * (1 + cosTheta * cosTheta);
+}
+
+// Cornette-Shanks
+export function miePhase(cosTheta, g = ATMOSPHERE.mieG) {
+  const k = (3 / (8 * Math.PI)) * (1 - g * g) / (2 + g * g);
+  return k * (1 + cosTheta * cosTheta) / Math.pow(1 + g * g - 2 * g * cosTheta, 1.5);
+}
+
+function buildTransmittanceLut() {
+  const [w, h] = TRANSMITTANCE_LUT_SIZE;
+  const data = new Float32Array(w * h * 4);
+  for (let j = 0; j < h; j++) {
+    for (let i = 0; i < w; i++) {
+      const [r, mu] = transmittanceParams(texelToUnit((i + 0.5) / w, w), texelToUnit((j + 0.5) / h, h));
+      const t = computeTransmittance(r, mu);
+      data.set([t[0], t[1], t[2], 1], (j * w + i) * 4);
+    }
+  }
+  return data;
+}
+
+// Hillaire's isotropic multiple-scattering term: second-order light gathered
+// over the sphere of directions, summed as a geometric series of orders
+function buildMultiScatteringLut(transmittance) {
+  const a = ATMOSPHERE;
+  const [w, h] = MULTI_SCATTERING_LUT_SIZE;
+  const data = new Float32Array(w * h * 4);
+  const isotropic = 1 / (4 * Math.PI);
+
+  // Fibonacci sphere of gather directions
+  const dirs = [];
+  for (let k = 0; k < MULTI_SCATTERING_DIRECTIONS; k++) {
+    const y = 1 - (2 * (k + 0.5)) / MULTI_SCATTERING_DIRECTIONS;
+    const rr = Math.sqrt(1 - y * y);
+    const phi = k * Math.PI * (3 - Math.sqrt(5));
+    dirs.push([rr * Math.cos(phi), y, rr * Math.sin(phi)]);
+  }
+
+  for (let j = 0; j < h; j++) {
+    const r = a.bottomRadius + ((j + 0.5) / h) * (a.topRadius - a.bottomRadius);
+    for (let i = 0; i < w; i++) {
+      const muS = -1 + (2 * (i + 0.5)) / w;
+      const sun = [Math.sqrt(1 - muS * muS), muS, 0];
+      const l2 = [0, 0, 0];
+      const fms = [0, 0, 0];
+
+      for (const dir of dirs) {
+        const mu = dir[1];
+        const ground = rayHitsGround(r, mu);
+        const length = ground ? distanceToGround(r, mu) : distanceToSphere(r, mu, a.topRadius);
+        const dt = length / MULTI_SCATTERING_STEPS;
+        const throughput = [1, 1, 1];
+        for (let s = 0; s < MULTI_SCATTERING_STEPS; s++) {
+          const t = (s + 0.5) * dt;
+          const px = dir[0] * t;
+          const py = r + dir[1] * t;
+          const pz = dir[2] * t;
+          const pr = Math.sqrt(px * px + py * py + pz * pz);
+          const pMuS = (px * sun[0] + py * sun[1] + pz * sun[2]) / pr;
+          const ext = extinctionAt(pr - a.bottomRadius); // also fills _density
+          const rho = _density[0];
+          const mie = _density[1];
+          const sunT = sunTransmittance(transmittance, pr, pMuS);
+          for (let c = 0; c < 3; c++) {
+            const scattering = a.rayleighScattering[c] * rho + a.mieScattering * mie;
+            const stepT = Math.exp(-ext[c] * dt);
+            const integral = (1 - stepT) / ext[c];
+            l2[c] += throughput[c] * scattering * sunT[c] * isotropic * integral;
+            fms[c] += throughput[c] * scattering * integral;
+            throughput[c] *= stepT;
+          }
+        }
+        if (ground) {
+          // Lambertian ground lit by the sun at the hit point
+          const t = length;
+          const gy = r + dir[1] * t;
+          const gr = Math.sqrt((dir[0] * t) ** 2 + gy * gy + (dir[2] * t) ** 2);
+          const gMuS = (dir[0] * t * sun[0] + gy * sun[1] + dir[2] * t * sun[2]) / gr;
+          const sunT = sunTransmittance(transmittance, gr, gMuS);
+          for (let c = 0; c < 3; c++) {
+            l2[c] += throughput[c] * sunT[c] * Math.max(gMuS, 0) * a.groundAlbedo / Math.PI;
+          }
+        }
+      }
+      const psi = [0, 1, 2].map((c) => {
+        const L = l2[c] / MULTI_SCATTERING_DIRECTIONS;
+        const f = fms[c] / MULTI_SCATTERING_DIRECTIONS;
+        return L / (1 - f);
+      });
+      data.set([psi[0], psi[1], psi[2], 1], (j * w + i) * 4);
+    }
+  }
+  return data;
+}
+
+/**
+ * Both lookup tables as RGBA Float32 rows, built on first use.
+ * Transmittance: x = view zenith (Bruneton mapping), y = altitude.
+ * Multiple scattering: x = sun zenith cosine (−1…1), y = altitude (linear).
+ * @returns {{transmittance: Float32Array, multiScattering: Float32Array}}
+ */
+export function getScatteringLuts() {
+  if (!luts) {
+    const transmittance = buildTransmittanceLut();
+    luts = { transmittance, multiScattering: buildMultiScatteringLut(transmittance) };
+  }
+  return luts;
+}
+
+/**
+ * Sky radiance (exposure applied) seen from an altitude, CPU twin of the
+ * shader's ray march. Directions are in a local frame with +Y up.
+ * @param {number} altitudeKm
+ * @param {number[]} viewDir - unit [x, y, z]
+ * @param {number[]} sunDir - unit [x, y, z]
+ * @returns {number[]} linear RGB
+ */
+export function getSkyRadiance(altitudeKm, viewDir, sunDir) {
+  const a = ATMOSPHERE;
+  const { transmittance, multiScattering } = getScatteringLuts();
+  const r = a.bottomRadius + Math.max(altitudeKm, 0);
+  if (r >= a.topRadius) return [0, 0, 0]; // the zenith of an observer in space is empty
+
+  const mu = viewDir[1];
+  const length = rayHitsGround(r, mu) ? distanceToGround(r, mu) : distanceToSphere(r, mu, a.topRadius);
+  const cosTheta = viewDir[0] * sunDir[0] + viewDir[1] * sunDir[1] + viewDir[2] * sunDir[2];
+  const phaseR = rayleighPhase(cosTheta);
+  const phaseM = miePhase(cosTheta);
+  const msSize = MULTI_SCATTERING_LUT_SIZE;
+
+  const radiance = [0, 0, 0];
+  const throughput = [1, 1, 1];
+  const dt = length / SKY_STEPS;
+  for (let s = 0; s < SKY_STEPS; s++) {
+    const t = (s + 0.5) * dt;
+    const px = viewDir[0] * t;
+    const py = r + viewDir[1] * t;
+    const pz = viewDir[2] * t;
+    const pr = Math.sqrt(px * px + py * py + pz * pz);
+    const pMuS = (px * sunDir[0] + py * sunDir[1] + pz * sunDir[2]) / pr;
+    const ext = extinctionAt(pr - a.bottomRadius); // also fills _density
+    const rho = _density[0];
+    const mie = _density[1];
+    const sunT = sunTransmittance(transmittance, pr, pMuS);
+    const ms = sampleLut(multiScattering, msSize,
+      unitToTexel(pMuS * 0.5 + 0.5, msSize[0]),
+      unitToTexel((pr - a.bottomRadius) / (a.topRadius - a.bottomRadius), msSize[1]), _ms);
+    for (let c = 0; c < 3; c++) {
+      const sR = a.rayleighScattering[c] * rho;
+      const sM = a.mieScattering * mie;
+      const source = sunT[c] * (sR * phaseR + sM * phaseM) + ms[c] * (sR + sM);
+      const stepT = Math.exp(-ext[c] * dt);
+      radiance[c] += throughput[c] * source * (1 - stepT) / ext[c];
+      throughput[c] *= stepT;
+    }
+  }
+  return radiance.map((v) => v * a.sunIntensity);
+}
+
+/**
+ * How strongly a sky of this radiance hides what is behind it (0…1): the
+ * dome's alpha, and the "daytime" factor the star and label layers fade by.
+ */
+export function getSkyVeil(radiance) {
+  const luminance = 0.2126 * radiance[0] + 0.7152 * radiance[1] + 0.0722 * radiance[2];
+  const t = Math.min(Math.max(luminance / VEIL_LUMINANCE, 0), 1);
+  return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,74 @@
+import {
+  DEFAULT_SPEED_KMH,
+  CLIMBER_MASS_KG,
+  CLIMBER_POWER_KW,
+  CLIMBER_MAX_SPEED_KMH,
+} from '../constants.js';
+import { getEffectiveGravity } from './physics.js';
+
+// Cruise speed profiles: each maps altitude (km) to cruise speed (km/h).
+// The real-time schedule integrates the chosen profile into trip timing.
+
+const SURFACE_G = getEffectiveGravity(0); // m/s², net of centrifugal at the anchor
+
+/**
+ * Same speed everywhere — the original 300 km/h climber.
+ */
+export function constantSpeedProfile(speedKmh = DEFAULT_SPEED_KMH) {
+  return () => speedKmh;
+}
+
+/**
+ * Linear interpolation between { altitude, speedKmh } breakpoints,
+ * held constant beyond the first and last point.
+ */
+export function piecewiseSpeedProfile(points) {
+  const sorted = [...points].sort((a, b) => a.altitude - b.altitude);
+  return (altitudeKm) => {
+    if (altitudeKm <= sorted[0].altitude) return sorted[0].speedKmh;
+    for (let i = 1; i < sorted.length; i++) {
+      const hi = sorted[i];
+      if (altitudeKm <= hi.altitude) {
+        const lo = sorted[i - 1];
+        const t = (altitudeKm - lo.altitude) / (hi.altitude - lo.altitude);
+        return lo.speedKmh + (hi.speedKmh - lo.speedKmh) * t;
+      }
+    }
+    return sorted[sorted.length - 1].speedKmh;
+  };
+}
+
+/**
+ * Speed rises linearly from baseSpeedKmh at the surface to maxSpeedKmh
+ * as effective gravity falls to zero (at GEO).
+ */
+export function gravityScaledSpeedProfile({ baseSpeedKmh = DEFAULT_SPEED_KMH, maxSpeedKmh = CLIMBER_MAX_SPEED_KMH } = {}) {
+  return (altitudeKm) => {
+    const gFraction = Math.min(1, Math.abs(getEffectiveGravity(altitudeKm)) / SURFACE_G);
+    return baseSpeedKmh + (maxSpeedKmh - baseSpeedKmh) * (1 - gFraction);
+  };
+}
+
+/**
+ * Constant power budget: v = P / (m·|g|), capped at maxSpeedKmh.
+ */
+export function powerLimitedSpeedProfile({ powerKw = CLIMBER_POWER_KW, massKg = CLIMBER_MASS_KG, maxSpeedKmh = CLIMBER_MAX_SPEED_KMH } = {}) {
+  return (altitudeKm) => {
+    const g = Math.abs(getEffectiveGravity(altitudeKm));
+    const speedMs = (powerKw * 1000) / (massKg * g);
+    return Math.min(maxSpeedKmh, speedMs * 3.6);
+  };
+}
+
+export const SPEED_PROFILES = {
+  constant: constantSpeedProfile(),
+  piecewise: piecewiseSpeedProfile([
+    { altitude: 0, speedKmh: 200 }, // gentle through the weather
+    { altitude: 100, speedKmh: 300 },
+    { altitude: 2000, speedKmh: 600 },
+    { altitude: 20000, speedKmh: 1200 },
+    { altitude: 35786, speedKmh: 1500 },
+  ]),
+  gravity: gravityScaledSpeedProfile(),
+  power: powerLimitedSpeedProfile(),
+};
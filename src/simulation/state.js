@@ -1,88 +1,159 @@
-import { CABLE_LENGTH, DEFAULT_SPEED_KMH, WAIT_DURATION_MS, TRAVEL_DURATION_MS, CYCLE_DURATION_MS, CYCLE_EPOCH_MS, GROUND_STATION_ALTITUDE } from '../constants.js';
-import { getEffectiveGravity } from './physics.js';
+import { GEO_ALTITUDE, DEFAULT_SPEED_KMH, WAIT_DURATION_MS, CYCLE_EPOCH_MS, GROUND_STATION_ALTITUDE, REALTIME_SPEED_PROFILE } from '../constants.js';
+import { getEffectiveAcceleration } from './physics.js';
+import {
+  planMotion,
+  sampleProfile,
+  planScheduledTrip,
+  sampleScheduledTrip,
+  scheduledTripTimeAt,
+  DEFAULT_MOTION_LIMITS,
+} from './motion.js';
+import { SPEED_PROFILES } from './speedProfiles.js';
+import { getSimulationConfig, setSimulationConfig } from './config.js';
+import { now as clockNow } from './clock.js';
 
 // Local simulation state
 const state = {
   altitudeKm: 0,
-  speedKmh: DEFAULT_SPEED_KMH,
+  speedKmh: DEFAULT_SPEED_KMH, // commanded cruise speed
+  velocityKmh: 0, // actual signed velocity (simulated time)
+  accelerationMs2: 0, // actual signed acceleration (simulated time)
   direction: 1,
   effectiveGravityG: 1.0,
-  startAltitudeKm: 0,
-  startTimeMs: Date.now(),
+  lateralG: 0, // Coriolis, positive = toward east
   timeScale: 1,
+  motionLimits: { ...DEFAULT_MOTION_LIMITS },
   mode: null, // 'realtime' | 'sandbox' | 'cinema'
   waitRemainingMs: 0,
   phase: null, // 'wait-ground' | 'ascend' | 'wait-top' | 'descend'
   travelElapsedMs: 0,
   travelRemainingMs: 0,
+  // ETAs in simulated ms (null when not heading that way)
+  etaGeoMs: null,
+  etaTopMs: null,
+  etaGroundMs: null,
+  // Schedule clock for the rest of the fleet (ms): wall clock in real-time mode,
+  // otherwise advanced at the current time scale from wherever it was
+  fleetClockMs: clockNow(),
+  // Sandbox motion profile (internal) — sampled at accumulated simulated time
+  _profile: null,
+  _travelSimMs: 0,
   // Sandbox wait tracking (internal)
   _sandboxWaiting: false,
   _waitAccumMs: 0,
-  _prevUpdateMs: Date.now(),
+  _prevUpdateMs: clockNow(),
   // Cinema mode (internal)
   _cinemaPreset: null,
   _cinemaStartMs: 0,
 };
 
+// Top of the cable for the current configuration
+function cableTop() {
+  return getSimulationConfig().cableLengthKm;
+}
+
+// Real-time schedule: every rider shares one rest-to-rest trip whose cruise
+// speed follows the selected speed profile
+function buildRealtimeSchedule(profileName) {
+  const speedAt = SPEED_PROFILES[profileName] || SPEED_PROFILES.constant;
+  const topKm = cableTop();
+  const trip = planScheduledTrip(topKm - GROUND_STATION_ALTITUDE, (x) => speedAt(GROUND_STATION_ALTITUDE + x));
+  const travelMs = trip.duration * 1000; // one-way travel
+  return {
+    profileName: SPEED_PROFILES[profileName] ? profileName : 'constant',
+    speedAt,
+    topKm,
+    trip,
+    travelMs,
+    cycleMs: 2 * (travelMs + WAIT_DURATION_MS), // full round trip
+    geoTimeMs: scheduledTripTimeAt(trip, GEO_ALTITUDE - GROUND_STATION_ALTITUDE) * 1000,
+  };
+}
+
+let realtimeSchedule = buildRealtimeSchedule(REALTIME_SPEED_PROFILE);
+
 // Pure function: compute real-time state from UTC timestamp
-export function getUTCSyncState(utcMs) {
+export function getUTCSyncState(utcMs, schedule = realtimeSchedule) {
+  const { topKm, trip, travelMs, cycleMs, geoTimeMs } = schedule;
   const elapsed = utcMs - CYCLE_EPOCH_MS;
   // Positive modulo
-  const cyclePos = ((elapsed % CYCLE_DURATION_MS) + CYCLE_DURATION_MS) % CYCLE_DURATION_MS;
+  const cyclePos = ((elapsed % cycleMs) + cycleMs) % cycleMs;
 
   const phase1End = WAIT_DURATION_MS;
-  const phase2End = WAIT_DURATION_MS + TRAVEL_DURATION_MS;
-  const phase3End = 2 * WAIT_DURATION_MS + TRAVEL_DURATION_MS;
-
-  const TRAVEL_RANGE = CABLE_LENGTH - GROUND_STATION_ALTITUDE;
+  const phase2End = WAIT_DURATION_MS + travelMs;
+  const phase3End = 2 * WAIT_DURATION_MS + travelMs;
 
   if (cyclePos < phase1End) {
     // Phase 0: waiting at ground station
     return {
       altitudeKm: GROUND_STATION_ALTITUDE,
+      velocityKmh: 0,
+      accelerationMs2: 0,
       direction: 0,
       waitRemainingMs: phase1End - cyclePos,
       phase: 'wait-ground',
       travelElapsedMs: 0,
       travelRemainingMs: 0,
+      etaGeoMs: null,
+      etaTopMs: null,
+      etaGroundMs: null,
     };
   } else if (cyclePos < phase2End) {
     // Phase 1: ascending
-    const progress = (cyclePos - phase1End) / TRAVEL_DURATION_MS;
+    const travelElapsedMs = cyclePos - phase1End;
+    const motion = sampleScheduledTrip(trip, travelElapsedMs / 1000);
     return {
-      altitudeKm: GROUND_STATION_ALTITUDE + progress * TRAVEL_RANGE,
+      altitudeKm: GROUND_STATION_ALTITUDE + motion.x,
+      velocityKmh: motion.v * 3600,
+      accelerationMs2: motion.a * 1000,
       direction: 1,
       waitRemainingMs: 0,
       phase: 'ascend',
-      travelElapsedMs: cyclePos - phase1End,
+      travelElapsedMs,
       travelRemainingMs: phase2End - cyclePos,
+      etaGeoMs: travelElapsedMs < geoTimeMs ? geoTimeMs - travelElapsedMs : null,
+      etaTopMs: phase2End - cyclePos,
+      etaGroundMs: null,
     };
   } else if (cyclePos < phase3End) {
     // Phase 2: waiting at top
     return {
-      altitudeKm: CABLE_LENGTH,
+      altitudeKm: topKm,
+      velocityKmh: 0,
+      accelerationMs2: 0,
       direction: 0,
       waitRemainingMs: phase3End - cyclePos,
       phase: 'wait-top',
       travelElapsedMs: 0,
       travelRemainingMs: 0,
+      etaGeoMs: null,
+      etaTopMs: null,
+      etaGroundMs: null,
     };
   } else {
-    // Phase 3: descending
-    const progress = (cyclePos - phase3End) / TRAVEL_DURATION_MS;
+    // Phase 3: descending — the ascent played backwards, since cruise
+    // speed depends only on altitude and the ramps are symmetric
+    const travelElapsedMs = cyclePos - phase3End;
+    const motion = sampleScheduledTrip(trip, (travelMs - travelElapsedMs) / 1000);
     return {
-      altitudeKm: CABLE_LENGTH - progress * TRAVEL_RANGE,
+      altitudeKm: GROUND_STATION_ALTITUDE + motion.x,
+      velocityKmh: -motion.v * 3600,
+      accelerationMs2: motion.a * 1000,
       direction: -1,
       waitRemainingMs: 0,
       phase: 'descend',
-      travelElapsedMs: cyclePos - phase3End,
-      travelRemainingMs: CYCLE_DURATION_MS - cyclePos,
+      travelElapsedMs,
+      travelRemainingMs: cycleMs - cyclePos,
+      etaGeoMs: null,
+      etaTopMs: null,
+      etaGroundMs: cycleMs - cyclePos,
     };
   }
 }
 
-// Compute cinema state from wall-clock elapsed time
-function computeCinemaState(preset, elapsedMs) {
+// Pure function: compute cinema state for a preset started at startMs, at time nowMs
+export function computeCinemaState(preset, startMs, nowMs) {
+  const elapsedMs = nowMs - startMs;
   let accumulated = 0;
   for (let i = 0; i < preset.segments.length; i++) {
     const seg = preset.segments[i];
@@ -123,67 +194,127 @@ function computeCinemaState(preset, elapsedMs) {
   };
 }
 
-function computeAltitude(s, now) {
-  const elapsedHours = (now - s.startTimeMs) / 3_600_000 * s.timeScale;
-  const alt = s.startAltitudeKm + s.direction * s.speedKmh * elapsedHours;
-  return Math.max(0, Math.min(CABLE_LENGTH, alt));
+// ETAs for constant-speed travel (cinema mode reports simulated time at the base speed)
+function cruiseEtas(altitudeKm, direction, speedKmh) {
+  const msTo = (targetKm) => (Math.abs(targetKm - altitudeKm) / speedKmh) * 3_600_000;
+  return {
+    etaGeoMs: direction === 1 && altitudeKm < GEO_ALTITUDE ? msTo(GEO_ALTITUDE) : null,
+    etaTopMs: direction === 1 && altitudeKm < cableTop() ? msTo(cableTop()) : null,
+    etaGroundMs: direction === -1 && altitudeKm > 0 ? msTo(0) : null,
+  };
+}
+
+// Sandbox ETAs come from the motion profile: time to the endpoint is exact,
+// and GEO is that minus the constant-cruise leg from GEO to the top
+function sandboxEtas() {
+  const remaining = state.travelRemainingMs;
+  if (state.direction === 1 && remaining > 0) {
+    const geoToTopMs = ((cableTop() - GEO_ALTITUDE) / state.speedKmh) * 3_600_000;
+    return {
+      etaGeoMs: state.altitudeKm < GEO_ALTITUDE ? Math.max(0, remaining - geoToTopMs) : null,
+      etaTopMs: remaining,
+      etaGroundMs: null,
+    };
+  }
+  if (state.direction === -1 && remaining > 0) {
+    return { etaGeoMs: null, etaTopMs: null, etaGroundMs: remaining };
+  }
+  return { etaGeoMs: null, etaTopMs: null, etaGroundMs: null };
+}
+
+// Replace the sandbox motion profile, starting from the given kinematic state
+function planSandboxMotion(altitudeKm, velocityKmh, accelerationMs2) {
+  state._profile = planMotion({
+    x0: altitudeKm,
+    v0: velocityKmh / 3600,
+    a0: accelerationMs2 / 1000,
+    cruise: (state.direction * state.speedKmh) / 3600,
+    xMin: GROUND_STATION_ALTITUDE,
+    xMax: cableTop(),
+    limits: state.motionLimits,
+  });
+  state._travelSimMs = 0;
 }
 
-// Interpolate altitude locally
-export function updateLocalState() {
-  const now = Date.now();
+// Before a mode is chosen the climber idles through an ascent from sea level
+planSandboxMotion(0, 0, 0);
+
+// Interpolate altitude locally at simulation-clock time `now` (ms).
+// Seeking backwards doesn't rewind sandbox motion — it just doesn't advance.
+export function updateLocalState(now = clockNow()) {
+  const deltaMs = Math.max(0, now - state._prevUpdateMs);
+  state._prevUpdateMs = now;
 
   if (state.mode === 'realtime') {
+    state.fleetClockMs = now;
     const sync = getUTCSyncState(now);
     state.altitudeKm = sync.altitudeKm;
+    state.velocityKmh = sync.velocityKmh;
+    state.accelerationMs2 = sync.accelerationMs2;
     state.direction = sync.direction;
     state.waitRemainingMs = sync.waitRemainingMs;
     state.phase = sync.phase;
     state.travelElapsedMs = sync.travelElapsedMs;
     state.travelRemainingMs = sync.travelRemainingMs;
-    state.speedKmh = DEFAULT_SPEED_KMH;
+    state.etaGeoMs = sync.etaGeoMs;
+    state.etaTopMs = sync.etaTopMs;
+    state.etaGroundMs = sync.etaGroundMs;
+    state.speedKmh = realtimeSchedule.speedAt(sync.altitudeKm);
     state.timeScale = 1;
   } else if (state.mode === 'cinema' && state._cinemaPreset) {
-    const elapsedMs = now - state._cinemaStartMs;
-    const cinema = computeCinemaState(state._cinemaPreset, elapsedMs);
-    state.altitudeKm = cinema.altitudeKm;
+    const cinema = computeCinemaState(state._cinemaPreset, state._cinemaStartMs, now);
+    // Presets are authored for the default cable; stop at the top of a shorter one
+    state.altitudeKm = Math.min(cableTop(), cinema.altitudeKm);
     state.direction = cinema.direction;
     state.phase = cinema.phase;
     state.speedKmh = DEFAULT_SPEED_KMH;
+    state.velocityKmh = cinema.direction * DEFAULT_SPEED_KMH;
+    state.accelerationMs2 = 0;
     state.timeScale = cinema.timeScale;
+    state.fleetClockMs += deltaMs * cinema.timeScale;
     state.travelElapsedMs = cinema.travelElapsedMs;
     state.travelRemainingMs = cinema.travelRemainingMs;
     state.waitRemainingMs = 0;
+    Object.assign(state, cruiseEtas(cinema.altitudeKm, cinema.direction, DEFAULT_SPEED_KMH));
   } else {
-    const deltaMs = now - state._prevUpdateMs;
-    state._prevUpdateMs = now;
+    state.fleetClockMs += deltaMs * state.timeScale;
 
     if (state._sandboxWaiting) {
       state._waitAccumMs += deltaMs * state.timeScale;
       const remaining = WAIT_DURATION_MS - state._waitAccumMs;
       if (remaining <= 0) {
-        // Wait over — auto-reverse
+        // Wait over — auto-reverse with a departure ramp from rest, from where it
+        // waited (a cable lengthened meanwhile leaves it below the new top)
         const newDir = state.phase === 'wait-ground' ? 1 : -1;
-        state.startAltitudeKm = state.phase === 'wait-ground' ? GROUND_STATION_ALTITUDE : CABLE_LENGTH;
-        state.startTimeMs = now;
+        const startAltitudeKm = state.phase === 'wait-ground' ? GROUND_STATION_ALTITUDE : state.altitudeKm;
         state.direction = newDir;
+        planSandboxMotion(startAltitudeKm, 0, 0);
         state._sandboxWaiting = false;
         state._waitAccumMs = 0;
         state.waitRemainingMs = 0;
         state.phase = newDir === 1 ? 'ascend' : 'descend';
-        state.altitudeKm = state.startAltitudeKm;
+        state.altitudeKm = startAltitudeKm;
+        state.velocityKmh = 0;
+        state.accelerationMs2 = 0;
         state.travelElapsedMs = 0;
-        state.travelRemainingMs = TRAVEL_DURATION_MS;
+        state.travelRemainingMs = state._profile.duration * 1000;
       } else {
         state.direction = 0;
+        state.velocityKmh = 0;
+        state.accelerationMs2 = 0;
         state.waitRemainingMs = remaining;
         state.travelElapsedMs = 0;
         state.travelRemainingMs = 0;
       }
     } else {
-      state.altitudeKm = computeAltitude(state, now);
+      state._travelSimMs += deltaMs * state.timeScale;
+      const motion = sampleProfile(state._profile, state._travelSimMs / 1000);
+      state.altitudeKm = Math.max(0, Math.min(cableTop(), motion.x));
+      state.velocityKmh = motion.v * 3600;
+      state.accelerationMs2 = motion.a * 1000;
 
-      if (state.altitudeKm <= GROUND_STATION_ALTITUDE && state.direction === -1) {
+      // A profile heading for an endpoint only finishes once it has braked to rest there
+      if (motion.done && state.direction === -1) {
         // Arrived at ground station
         state.altitudeKm = GROUND_STATION_ALTITUDE;
         state._sandboxWaiting = true;
@@ -193,9 +324,9 @@ export function updateLocalState() {
         state.waitRemainingMs = WAIT_DURATION_MS;
         state.travelElapsedMs = 0;
         state.travelRemainingMs = 0;
-      } else if (state.altitudeKm >= CABLE_LENGTH && state.direction === 1) {
+      } else if (motion.done && state.direction === 1) {
         // Arrived at top
-        state.altitudeKm = CABLE_LENGTH;
+        state.altitudeKm = cableTop();
         state._sandboxWaiting = true;
         state._waitAccumMs = 0;
         state.phase = 'wait-top';
@@ -203,14 +334,14 @@ export function updateLocalState() {
         state.waitRemainingMs = WAIT_DURATION_MS;
         state.travelElapsedMs = 0;
         state.travelRemainingMs = 0;
-      } else if (state.direction !== 0) {
-        // Traveling
-        const simElapsedMs = (now - state.startTimeMs) * state.timeScale;
-        state.phase = state.direction === 1 ? 'ascend' : 'descend';
-        state.travelElapsedMs = simElapsedMs;
-        state.travelRemainingMs = state.direction === 1
-          ? ((CABLE_LENGTH - state.altitudeKm) / state.speedKmh) * 3_600_000
-          : (state.altitudeKm / state.speedKmh) * 3_600_000;
+      } else if (state.direction !== 0 || !motion.done) {
+        // Traveling (or braking to a manual stop)
+        const heading = state.direction !== 0 ? state.direction : Math.sign(state.velocityKmh);
+        state.phase = heading === 1 ? 'ascend' : 'descend';
+        state.travelElapsedMs = state._travelSimMs;
+        state.travelRemainingMs = state.direction !== 0
+          ? Math.max(0, state._profile.duration * 1000 - state._travelSimMs)
+          : 0;
         state.waitRemainingMs = 0;
       } else {
         // Stopped (manual admin stop)
@@ -220,9 +351,13 @@ export function updateLocalState() {
         state.travelRemainingMs = 0;
       }
     }
+    Object.assign(state, sandboxEtas());
   }
 
-  state.effectiveGravityG = getEffectiveGravity(state.altitudeKm) / 9.80;
+  // Same felt acceleration the controller applies, climb ramps included
+  const accel = getEffectiveAcceleration(state.altitudeKm, state.velocityKmh, state.accelerationMs2);
+  state.effectiveGravityG = accel.radial / 9.80;
+  state.lateralG = accel.east / 9.80;
 }
 
 export function getState() {
@@ -233,53 +368,119 @@ export function setMode(mode) {
   state.mode = mode;
 }
 
-export function setCinemaPreset(preset) {
+export function setCinemaPreset(preset, startMs = clockNow()) {
   state._cinemaPreset = preset;
-  state._cinemaStartMs = Date.now();
+  state._cinemaStartMs = startMs;
 }
 
-// Update local segment state (used by admin controls)
-// Breaks out of realtime/cinema mode into sandbox so controls take effect.
-function setLocalSegment(startAltitudeKm, speedKmh, direction) {
+// Leave realtime/cinema mode so sandbox controls take effect.
+function breakToSandbox() {
   if (state.mode === 'cinema' || state.mode === 'realtime') {
     state.mode = 'sandbox';
     state._cinemaPreset = null;
     state.timeScale = 1;
   }
-  state.startAltitudeKm = startAltitudeKm;
-  state.startTimeMs = Date.now();
+}
+
+// Update local segment state (used by admin controls)
+// Breaks out of realtime/cinema mode into sandbox so controls take effect.
+// fromRest = true teleports to startAltitudeKm and departs with a ramp;
+// otherwise the current velocity/acceleration carry over smoothly.
+function setLocalSegment(startAltitudeKm, speedKmh, direction, fromRest) {
+  breakToSandbox();
   state.speedKmh = speedKmh;
   state.direction = direction;
   state._sandboxWaiting = false;
   state._waitAccumMs = 0;
+  if (fromRest) {
+    planSandboxMotion(startAltitudeKm, 0, 0);
+  } else {
+    planSandboxMotion(startAltitudeKm, state.velocityKmh, state.accelerationMs2);
+  }
+  state._prevUpdateMs = clockNow();
   updateLocalState();
 }
 
 // Admin controls — sandbox only (no server calls)
 export function adminSetAltitude(altitudeKm) {
-  setLocalSegment(altitudeKm, state.speedKmh, state.direction);
+  setLocalSegment(Math.max(0, Math.min(cableTop(), altitudeKm)), state.speedKmh, state.direction, true);
 }
 
 export function adminSetSpeed(speedKmh) {
-  setLocalSegment(state.altitudeKm, speedKmh, state.direction);
+  setLocalSegment(state.altitudeKm, speedKmh, state.direction, false);
 }
 
 export function adminSetDirection(direction) {
-  setLocalSegment(state.altitudeKm, state.speedKmh, direction);
+  setLocalSegment(state.altitudeKm, state.speedKmh, direction, false);
+}
+
+// Switch to sandbox at the current position without disturbing the motion
+export function adminEnterSandbox() {
+  setLocalSegment(state.altitudeKm, state.speedKmh, state.direction, false);
+}
+
+// Acceleration limits in m/s² and jerk limits in m/s³ (sandbox only —
+// the real-time schedule always uses DEFAULT_MOTION_LIMITS)
+export function adminSetMotionLimits({ maxAccel, maxJerk }) {
+  if (maxAccel > 0) state.motionLimits.maxAccel = maxAccel;
+  if (maxJerk > 0) state.motionLimits.maxJerk = maxJerk;
+  setLocalSegment(state.altitudeKm, state.speedKmh, state.direction, false);
 }
 
 export function adminSetTimeScale(scale) {
   if (state.mode === 'cinema' || state.mode === 'realtime') {
-    state.mode = 'sandbox';
-    state._cinemaPreset = null;
+    breakToSandbox();
+    planSandboxMotion(state.altitudeKm, state.velocityKmh, state.accelerationMs2);
+    state._prevUpdateMs = clockNow();
   }
-  state.startAltitudeKm = state.altitudeKm;
-  state.startTimeMs = Date.now();
   state.timeScale = scale;
 }
 
 export function adminRestart() {
-  setLocalSegment(GROUND_STATION_ALTITUDE, DEFAULT_SPEED_KMH, 1);
+  setLocalSegment(GROUND_STATION_ALTITUDE, DEFAULT_SPEED_KMH, 1, true);
+}
+
+// Select the cruise speed profile used by the real-time schedule.
+// Every rider with the same profile still shares one position.
+export function setSpeedProfile(name) {
+  realtimeSchedule = buildRealtimeSchedule(name);
+}
+
+/**
+ * Change the cable length (counterweight station altitude, km).
+ * Rebuilds the real-time schedule and re-plans the sandbox so it stops at the
+ * new top. Returns false if the length is out of range.
+ */
+export function adminSetCableLength(cableLengthKm) {
+  if (setSimulationConfig({ cableLengthKm }).cableLengthKm !== cableLengthKm) return false;
+  realtimeSchedule = buildRealtimeSchedule(realtimeSchedule.profileName);
+  if (state.mode !== 'realtime' && state.mode !== 'cinema') {
+    const altitudeKm = Math.min(state.altitudeKm, cableLengthKm);
+    if (state._sandboxWaiting) {
+      // Keep the station wait so the usual turnaround follows; a shorter cable
+      // pulls a climber waiting at the top down to the new top first
+      state.altitudeKm = altitudeKm;
+    } else if (altitudeKm < state.altitudeKm) {
+      // The top moved below the climber — restart from rest at the new top
+      state.altitudeKm = altitudeKm;
+      if (state.direction === 1) state.direction = 0;
+      planSandboxMotion(altitudeKm, 0, 0);
+    } else {
+      planSandboxMotion(altitudeKm, state.velocityKmh, state.accelerationMs2);
+    }
+    state._prevUpdateMs = clockNow();
+  }
+  updateLocalState();
+  return true;
+}
+
+// Full real-time round trip (ms) — the fleet staggers its climbers across it
+export function getRealtimeCycleMs() {
+  return realtimeSchedule.cycleMs;
+}
+
+export function getSpeedProfileName() {
+  return realtimeSchedule.profileName;
 }
 
 export function adminReturnToRealtime() {
@@ -0,0 +1,129 @@
+import { CLIMBER_MASS_KG } from '../constants.js';
+import { getEffectiveGravity } from './physics.js';
+import { getSimulationConfig } from './config.js';
+
+// Tether engineering model: a constant-stress tapered cable.
+//
+// The cross-section grows with the load it has to carry below it:
+//   dA/dh = (ρ / σ_design) · g_eff(h) · A   →   A(h) = A_base · exp((ρ/σ) ∫ g_eff dh)
+// so it peaks at GEO, where g_eff changes sign, and shrinks again above.
+// The counterweight must supply the tension left at the top of the cable;
+// a heavier or lighter counterweight shifts the tension everywhere by the same
+// amount, which moves the safety factor away from its design value.
+//
+// Weak materials need absurd tapers (steel is ~10^166), so areas and tensions
+// are kept as natural logs and only turned into ratios where they stay finite.
+
+export const TETHER_MATERIALS = {
+  cnt: { name: 'Carbon nanotube', densityKgM3: 1300, strengthGPa: 50 },
+  graphene: { name: 'Graphene', densityKgM3: 2260, strengthGPa: 130 },
+  zylon: { name: 'Zylon', densityKgM3: 1560, strengthGPa: 5.8 },
+  kevlar: { name: 'Kevlar', densityKgM3: 1440, strengthGPa: 3.6 },
+  steel: { name: 'High-strength steel', densityKgM3: 7900, strengthGPa: 2.0 },
+};
+
+export const DEFAULT_TETHER_DESIGN = {
+  material: 'cnt',
+  safetyFactor: 2,
+  counterweightRatio: 1, // counterweight mass relative to the ideal one
+};
+
+const PROFILE_SAMPLES = 500;
+const LN10 = Math.log(10);
+
+/**
+ * Compute the taper, tension and safety-factor profile along the cable.
+ *
+ * The base cross-section is sized to hold one loaded climber at the design
+ * stress. Returned log10 values avoid overflow for weak materials.
+ *
+ * @param {object} [design]
+ * @param {string} [design.material] - key into TETHER_MATERIALS
+ * @param {number} [design.safetyFactor] - ultimate / design stress
+ * @param {number} [design.counterweightRatio] - counterweight mass ÷ ideal mass
+ * @param {number} [cableLengthKm] - defaults to the configured cable length
+ */
+export function computeTetherProfile(design = DEFAULT_TETHER_DESIGN, cableLengthKm = getSimulationConfig().cableLengthKm) {
+  const { material, safetyFactor, counterweightRatio } = { ...DEFAULT_TETHER_DESIGN, ...design };
+  const mat = TETHER_MATERIALS[material] || TETHER_MATERIALS.cnt;
+  const sigmaUlt = mat.strengthGPa * 1e9; // Pa
+  const sigmaDesign = sigmaUlt / safetyFactor;
+  const k = mat.densityKgM3 / sigmaDesign; // s²/m²
+
+  // Integrate ln(A/A_base) = k ∫ g_eff dh with the trapezoid rule
+  const altitudes = new Float64Array(PROFILE_SAMPLES + 1);
+  const lnArea = new Float64Array(PROFILE_SAMPLES + 1);
+  const stepKm = cableLengthKm / PROFILE_SAMPLES;
+  let prevG = getEffectiveGravity(0);
+  for (let i = 1; i <= PROFILE_SAMPLES; i++) {
+    const h = i * stepKm;
+    const g = getEffectiveGravity(h);
+    altitudes[i] = h;
+    lnArea[i] = lnArea[i - 1] + k * 0.5 * (prevG + g) * stepKm * 1000;
+    prevG = g;
+  }
+
+  // Base sized for one climber; ideal counterweight balances the top tension
+  const baseTensionN = CLIMBER_MASS_KG * getEffectiveGravity(0);
+  const lnBaseArea = Math.log(baseTensionN / sigmaDesign); // m²
+  const lnTopArea = lnArea[PROFILE_SAMPLES];
+  const gTop = Math.abs(getEffectiveGravity(cableLengthKm));
+  const lnIdealCounterweight = Math.log(sigmaDesign) + lnBaseArea + lnTopArea - Math.log(gTop);
+
+  // T(h)/T_design(h) = 1 + (ratio - 1) · A_top / A(h)
+  const excess = counterweightRatio - 1;
+  const log10Taper = new Float64Array(PROFILE_SAMPLES + 1);
+  const log10Tension = new Float64Array(PROFILE_SAMPLES + 1);
+  const safety = new Float64Array(PROFILE_SAMPLES + 1);
+  let peak = 0;
+  for (let i = 0; i <= PROFILE_SAMPLES; i++) {
+    const load = 1 + excess * Math.exp(lnTopArea - lnArea[i]);
+    log10Taper[i] = lnArea[i] / LN10;
+    log10Tension[i] = load > 0
+      ? (Math.log(baseTensionN) + lnArea[i] + Math.log(load)) / LN10
+      : -Infinity;
+    safety[i] = load > 0 ? safetyFactor / load : Infinity;
+    if (lnArea[i] > lnArea[peak]) peak = i;
+  }
+
+  return {
+    material: mat,
+    materialKey: TETHER_MATERIALS[material] ? material : 'cnt',
+    safetyFactor,
+    counterweightRatio,
+    cableLengthKm,
+    altitudes,
+    log10Taper,
+    log10Tension,
+    safety,
+    taperRatioLog10: lnArea[peak] / LN10,
+    peakAltitudeKm: altitudes[peak],
+    baseAreaMm2: Math.exp(lnBaseArea) * 1e6,
+    baseTensionN,
+    counterweightLog10Kg: (lnIdealCounterweight + Math.log(counterweightRatio)) / LN10,
+    minSafetyFactor: Math.min(...safety),
+    // A lighter-than-ideal counterweight can leave the anchor with no tension
+    anchored: 1 + excess * Math.exp(lnTopArea) > 0,
+  };
+}
+
+/**
+ * Interpolate a tether profile at an altitude.
+ * @returns {{log10Taper: number, log10Tension: number, safetyFactor: number}}
+ */
+export function sampleTetherProfile(profile, altitudeKm) {
+  const n = profile.altitudes.length - 1;
+  const f = Math.max(0, Math.min(n, (altitudeKm / profile.cableLengthKm) * n));
+  const i = Math.min(n - 1, Math.floor(f));
+  const t = f - i;
+  const lerp = (arr) => {
+    // Slack samples are ±Infinity — fall back to the nearest one
+    if (!Number.isFinite(arr[i]) || !Number.isFinite(arr[i + 1])) return arr[t < 0.5 ? i : i + 1];
+    return arr[i] + (arr[i + 1] - arr[i]) * t;
+  };
+  return {
+    log10Taper: lerp(profile.log10Taper),
+    log10Tension: lerp(profile.log10Tension),
+    safetyFactor: lerp(profile.safety),
+  };
+}
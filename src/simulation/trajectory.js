@@ -0,0 +1,72 @@
+import { EARTH_RADIUS, SURFACE_GRAVITY, EARTH_ROTATION_RATE, ATMO_THICKNESS } from '../constants.js';
+
+// Release trajectories: a payload let go from the cabin keeps the cable's
+// tangential velocity ω·r and no radial velocity, so the release point is
+// always an apsis of the resulting conic. Below GEO it is the apogee (the
+// payload falls inward), above GEO it is the perigee, and beyond ~47,000 km
+// ω·r exceeds local escape velocity.
+
+const MU = SURFACE_GRAVITY * (EARTH_RADIUS * 1000) ** 2; // m³/s², consistent with physics.js
+
+/**
+ * Orbit entered by a payload released at the given altitude.
+ *
+ * Altitudes are km above the surface; apogee is Infinity for escape.
+ * @param {number} altitudeKm
+ * @returns {{
+ *   releaseSpeedMs: number, eccentricity: number, semiLatusRectumKm: number,
+ *   releaseAtPerigee: boolean, apogeeKm: number, perigeeKm: number,
+ *   periodS: number, impacts: boolean, reenters: boolean, escapes: boolean,
+ *   excessSpeedMs: number
+ * }}
+ */
+export function computeReleaseTrajectory(altitudeKm) {
+  const r = (EARTH_RADIUS + altitudeKm) * 1000; // m
+  const v = EARTH_ROTATION_RATE * r; // m/s, inertial
+  const energy = (v * v) / 2 - MU / r;
+  const h = r * v; // specific angular momentum
+  const p = (h * h) / MU; // semi-latus rectum (m)
+  const eccentricity = Math.abs(p / r - 1);
+  // p/r > 1 ⇔ faster than circular ⇔ the release point is the perigee
+  const releaseAtPerigee = p >= r;
+
+  if (energy >= 0) {
+    return {
+      releaseSpeedMs: v,
+      eccentricity,
+      semiLatusRectumKm: p / 1000,
+      releaseAtPerigee: true,
+      apogeeKm: Infinity,
+      perigeeKm: altitudeKm,
+      periodS: Infinity,
+      impacts: false,
+      reenters: false,
+      escapes: true,
+      excessSpeedMs: Math.sqrt(2 * energy),
+    };
+  }
+
+  const a = -MU / (2 * energy); // semi-major axis (m)
+  const otherApsis = 2 * a - r;
+  const perigeeKm = Math.min(r, otherApsis) / 1000 - EARTH_RADIUS;
+  return {
+    releaseSpeedMs: v,
+    eccentricity,
+    semiLatusRectumKm: p / 1000,
+    releaseAtPerigee,
+    apogeeKm: Math.max(r, otherApsis) / 1000 - EARTH_RADIUS,
+    perigeeKm,
+    periodS: 2 * Math.PI * Math.sqrt((a * a * a) / MU),
+    impacts: perigeeKm < 0,
+    reenters: perigeeKm < ATMO_THICKNESS,
+    escapes: false,
+    excessSpeedMs: 0,
+  };
+}
+
+/**
+ * Orbital radius (km from Earth's center) at true anomaly nu.
+ */
+export function conicRadiusKm(trajectory, nu) {
+  return trajectory.semiLatusRectumKm / (1 + trajectory.eccentricity * Math.cos(nu));
+}
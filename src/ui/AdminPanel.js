@@ -1,15 +1,36 @@
 import { adminSetAltitude, adminSetDirection, adminSetTimeScale, getState } from '../simulation/state.js';
+import { getSimulationConfig, MIN_CABLE_LENGTH, MAX_CABLE_LENGTH } from '../simulation/config.js';
+import { CABLE_LENGTH } from '../constants.js';
+import { getClockState } from '../simulation/clock.js';
+import { ANCHOR_PRESETS, DEFAULT_ANCHOR_KEY, getAnchor, isEquatorialLatitude } from '../simulation/anchor.js';
+import { quality } from '../QualitySettings.js';
 
 export class AdminPanel {
   constructor() {
     this.el = document.getElementById('admin-panel');
     this.visible = false;
     this.onToggleCabin = null;
+    this.onToggleClouds = null;
+    this.onToggleGeoOverlay = null;
+    this.onToggleTether = null;
+    this.onToggleRelease = null;
     this.onStarBrightness = null;
+    this.onToggleSkyGuide = null;
+    this.onToggleQuality = null;
     this.onToggleAudio = null;
+    this.onToggleClock = null;
+    this.onDateChange = null;
+    this.onShow = null;
+    this.dateParam = null; // 'YYYY-MM-DD' once a date has been picked
     this.onEnterSandbox = null;
     this.onReturnToRealtime = null;
+    this.onAnchorChange = null;
+    this.onCableLength = null;
     this.cabinVisible = true;
+    this.cloudsVisible = true;
+    this.geoOverlayVisible = false;
+    this.releaseVisible = false;
+    this.skyGuideVisible = false;
     this.starBrightnessVal = 1.0;
 
     // Toggle with backtick
@@ -58,11 +79,79 @@ export class AdminPanel {
       });
     });
 
+    // Anchor site picker — equatorial presets first, then the off-equator comparisons
+    this.anchorSelect = document.getElementById('admin-anchor');
+    const presets = Object.entries(ANCHOR_PRESETS);
+    for (const equatorial of [true, false]) {
+      const group = document.createElement('optgroup');
+      group.label = equatorial ? 'Equatorial' : 'Off-equator (not physical)';
+      for (const [key, preset] of presets) {
+        if (isEquatorialLatitude(preset.lat) !== equatorial) continue;
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = preset.name;
+        group.appendChild(opt);
+      }
+      this.anchorSelect.appendChild(group);
+    }
+    this.anchorSelect.addEventListener('change', () => {
+      if (this.onAnchorChange) this.onAnchorChange(this.anchorSelect.value);
+    });
+    this.syncAnchor();
+
     // Toggle cabin
     document.getElementById('admin-toggle-cabin').addEventListener('click', () => {
       if (this.onToggleCabin) this.onToggleCabin();
     });
 
+    // Toggle the cloud layer (off = the cloud-free Blue Marble look)
+    document.getElementById('admin-toggle-clouds').addEventListener('click', () => {
+      if (this.onToggleClouds) this.onToggleClouds();
+    });
+
+    // Toggle the map overlay (coastlines, borders, graticule, place names)
+    document.getElementById('admin-toggle-geo').addEventListener('click', () => {
+      if (this.onToggleGeoOverlay) this.onToggleGeoOverlay();
+    });
+
+    // Toggle cable engineering panel
+    document.getElementById('admin-toggle-tether').addEventListener('click', () => {
+      if (this.onToggleTether) this.onToggleTether();
+    });
+
+    // Cable length (counterweight station altitude)
+    const cableInput = document.getElementById('admin-cable-length');
+    cableInput.min = MIN_CABLE_LENGTH;
+    cableInput.max = MAX_CABLE_LENGTH;
+    const submitCableLength = () => {
+      const km = parseFloat(cableInput.value);
+      const ok = !isNaN(km) && this.onCableLength && this.onCableLength(km);
+      if (!ok) this.syncCableLength(); // rejected — show the current value again
+    };
+    document.getElementById('admin-set-cable').addEventListener('click', submitCableLength);
+    cableInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submitCableLength();
+    });
+    this.syncCableLength();
+
+    // Toggle release trajectory overlay
+    document.getElementById('admin-toggle-release').addEventListener('click', () => {
+      if (this.onToggleRelease) this.onToggleRelease();
+    });
+
+    // Toggle sky guide (constellations, star names, inspector card)
+    document.getElementById('admin-toggle-sky-guide').addEventListener('click', () => {
+      if (this.onToggleSkyGuide) this.onToggleSkyGuide();
+    });
+
+    // Quality level (desktop only): high streams the deep star tiers
+    const qualityBtn = document.getElementById('admin-toggle-quality');
+    if (quality.isMobile) qualityBtn.style.display = 'none';
+    qualityBtn.addEventListener('click', () => {
+      if (this.onToggleQuality) this.onToggleQuality();
+    });
+    this.setQualityButtonText();
+
     // Star brightness slider
     const brightnessSlider = document.getElementById('admin-star-brightness');
     brightnessSlider.addEventListener('input', () => {
@@ -73,6 +162,23 @@ export class AdminPanel {
       if (this.onStarBrightness) this.onStarBrightness(val * 1.3);
     });
 
+    // Simulated date (sandbox) — keeps the time of day, changes the season
+    this.dateInput = document.getElementById('admin-date');
+    this.dateInput.addEventListener('change', () => {
+      if (this.dateInput.value) this.pickDate(this.dateInput.value);
+    });
+    this.el.querySelectorAll('[data-season]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const year = (this.dateInput.value || new Date().toISOString()).slice(0, 4);
+        this.pickDate(`${year}-${btn.dataset.season}`);
+      });
+    });
+
+    // Pause / resume the simulation clock
+    document.getElementById('admin-toggle-clock').addEventListener('click', () => {
+      if (this.onToggleClock) this.onToggleClock();
+    });
+
     // Audio mute toggle
     document.getElementById('admin-toggle-audio').addEventListener('click', () => {
       if (this.onToggleAudio) this.onToggleAudio();
@@ -96,6 +202,21 @@ export class AdminPanel {
     if (state.timeScale !== 1) url.searchParams.set('speed', state.timeScale);
     if (state.direction !== 1) url.searchParams.set('dir', state.direction);
     if (!this.cabinVisible) url.searchParams.set('cabin', '0');
+    if (!this.cloudsVisible) url.searchParams.set('clouds', '0');
+    if (this.geoOverlayVisible) url.searchParams.set('geo', '1');
+    if (this.releaseVisible) url.searchParams.set('orbit', '1');
+    if (this.skyGuideVisible) url.searchParams.set('sky', '1');
+    if (quality.level === 'high') url.searchParams.set('quality', 'high');
+    const clock = getClockState();
+    if (clock.rate !== 1) url.searchParams.set('rate', clock.rate);
+    if (clock.offsetMs !== 0) url.searchParams.set('offset', clock.offsetMs / 3_600_000);
+    // A clock that drifts from the wall clock needs its current reading too
+    if (clock.paused || clock.rate !== 1) url.searchParams.set('time', Math.round(clock.now));
+    if (clock.paused) url.searchParams.set('paused', '1');
+    if (this.dateParam) url.searchParams.set('date', this.dateParam);
+    const { cableLengthKm } = getSimulationConfig();
+    if (cableLengthKm !== CABLE_LENGTH) url.searchParams.set('cable', cableLengthKm);
+    if (getAnchor().key !== DEFAULT_ANCHOR_KEY) url.searchParams.set('anchor', getAnchor().key);
     if (this.starBrightnessVal !== 1.0) url.searchParams.set('stars', this.starBrightnessVal.toFixed(1));
 
     const btn = document.getElementById('admin-share');
@@ -105,12 +226,66 @@ export class AdminPanel {
     });
   }
 
+  // Show the configured cable length and bound the altitude input by it
+  syncCableLength() {
+    const { cableLengthKm } = getSimulationConfig();
+    document.getElementById('admin-cable-length').value = cableLengthKm;
+    document.getElementById('admin-altitude').max = cableLengthKm;
+  }
+
+  /**
+   * Reflect the current anchor in the picker and show the off-equator warning.
+   * Custom "lat,lon" anchors from the URL get their own option.
+   */
+  syncAnchor() {
+    const anchor = getAnchor();
+    if (!ANCHOR_PRESETS[anchor.key] && !this.anchorSelect.querySelector(`option[value="${anchor.key}"]`)) {
+      const opt = document.createElement('option');
+      opt.value = anchor.key;
+      opt.textContent = anchor.name;
+      this.anchorSelect.appendChild(opt);
+    }
+    this.anchorSelect.value = anchor.key;
+    document.getElementById('admin-anchor-warning').style.display = anchor.equatorial ? 'none' : 'block';
+  }
+
+  pickDate(isoDate) {
+    const dayMs = Date.parse(`${isoDate}T00:00:00Z`);
+    if (isNaN(dayMs)) return;
+    this.dateInput.value = isoDate;
+    this.dateParam = isoDate;
+    if (this.onDateChange) this.onDateChange(dayMs);
+  }
+
+  // Show the simulated date in the picker
+  setSimDate(dateMs) {
+    this.dateInput.value = new Date(dateMs).toISOString().slice(0, 10);
+  }
+
+  setClockButtonText(paused) {
+    document.getElementById('admin-toggle-clock').textContent = paused ? 'Resume' : 'Pause';
+  }
+
+  setCloudsButtonText(visible) {
+    document.getElementById('admin-toggle-clouds').textContent = visible ? 'Clouds: On' : 'Clouds: Off';
+  }
+
+  setGeoOverlayButtonText(visible) {
+    document.getElementById('admin-toggle-geo').textContent = visible ? 'Map: On' : 'Map: Off';
+  }
+
+  setQualityButtonText() {
+    document.getElementById('admin-toggle-quality').textContent =
+      quality.level === 'high' ? 'Quality: High' : 'Quality: Standard';
+  }
+
   setAudioButtonText(muted) {
     document.getElementById('admin-toggle-audio').textContent = muted ? 'Unmute' : 'Mute';
   }
 
   show() {
     if (getState().mode === 'realtime' && this.onEnterSandbox) this.onEnterSandbox();
+    if (this.onShow) this.onShow();
     this.visible = true;
     this.el.style.display = 'block';
   }
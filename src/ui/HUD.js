@@ -1,5 +1,7 @@
-import { GEO_ALTITUDE, CABLE_LENGTH, MAG_BOOTS_THRESHOLD } from '../constants.js';
+import { MAG_BOOTS_THRESHOLD } from '../constants.js';
 import { quality } from '../QualitySettings.js';
+import { getAnchor, getAnchorLonOffsetSeconds } from '../simulation/anchor.js';
+import { getApparentSolarSeconds } from '../simulation/ephemeris.js';
 
 export class HUD {
   constructor() {
@@ -10,15 +12,18 @@ export class HUD {
     }
   }
 
-  update(state, simElapsedSeconds, controller) {
+  /**
+   * @param {object} state - simulation state
+   * @param {number} simDateMs - simulated UTC date
+   */
+  update(state, simDateMs, controller, release) {
     const now = performance.now();
     if (now - this.lastUpdate < 100) return; // throttle to 10 fps
     this.lastUpdate = now;
 
     const alt = state.altitudeKm;
-    const speed = state.speedKmh;
     const timeScale = state.timeScale || 1;
-    const effectiveSpeed = speed * timeScale;
+    const effectiveSpeed = Math.abs(state.velocityKmh || 0) * timeScale;
     const gEff = state.effectiveGravityG;
     const dir = state.direction;
 
@@ -38,6 +43,9 @@ export class HUD {
     } else if (dir === -1) {
       dirLabel = 'DESCENDING';
       dirColor = '#fa4';
+    } else if (Math.abs(state.velocityKmh || 0) > 0.5) {
+      dirLabel = 'BRAKING';
+      dirColor = '#fa4';
     } else {
       dirLabel = 'STOPPED';
       dirColor = '#888';
@@ -49,27 +57,15 @@ export class HUD {
     else if (alt < 1000) altStr = `${alt.toFixed(1)} km`;
     else altStr = `${alt.toFixed(0).replace(/\B(?=(\d{3})+(?!\d))/g, ',')} km`;
 
-    // ETA calculations (in simulated time, using base speed without timeScale)
-    let etaGeo = '';
-    let etaTop = '';
-    let etaGround = '';
-    if (dir === 1 && alt < GEO_ALTITUDE) {
-      const hoursToGeo = (GEO_ALTITUDE - alt) / speed;
-      etaGeo = formatDuration(hoursToGeo);
-    }
-    if (dir === 1 && alt < CABLE_LENGTH) {
-      const hoursToTop = (CABLE_LENGTH - alt) / speed;
-      etaTop = formatDuration(hoursToTop);
-    }
-    if (dir === -1 && alt > 0) {
-      const hoursToBottom = alt / speed;
-      etaGround = formatDuration(hoursToBottom);
-    }
+    // ETAs (in simulated time) come from the trip schedule / motion profile
+    const etaGeo = state.etaGeoMs != null ? formatDuration(state.etaGeoMs / 3_600_000) : '';
+    const etaTop = state.etaTopMs != null ? formatDuration(state.etaTopMs / 3_600_000) : '';
+    const etaGround = state.etaGroundMs != null ? formatDuration(state.etaGroundMs / 3_600_000) : '';
 
     const timeLabel = timeScale > 1 ? ` <span class="unit">(${parseFloat(timeScale.toFixed(1))}x)</span>` : '';
 
-    // Format simulation elapsed time
-    const simTime = formatSimTime(simElapsedSeconds || 0);
+    // Simulated local date and apparent solar time at the anchor
+    const simTime = formatSimTime(simDateMs);
 
     // Gravity display: color-code and direction arrow
     const gAbs = Math.abs(gEff);
@@ -91,6 +87,30 @@ export class HUD {
       gArrow = '&#8595;';
     }
 
+    // Lateral (Coriolis) component — west while climbing, east while descending
+    let latLine = '';
+    const latG = state.lateralG || 0;
+    if (Math.abs(latG) >= 0.00001) {
+      const latArrow = latG < 0 ? '&#8592; W' : 'E &#8594;';
+      latLine = `<div><span class="label">LAT </span><span class="value">${latArrow} ${Math.abs(latG).toFixed(4)}</span><span class="unit"> g</span></div>`;
+    }
+
+    // Release trajectory summary (when the overlay is on)
+    let releaseLine = '';
+    if (release) {
+      let summary;
+      if (release.escapes) {
+        summary = `<span style="color:#e4f">ESCAPE</span> <span class="unit">v&infin;</span> ${(release.excessSpeedMs / 1000).toFixed(2)}<span class="unit"> km/s</span>`;
+      } else if (release.impacts) {
+        summary = '<span style="color:#f44">IMPACT</span>';
+      } else {
+        const apsides = `${formatKm(release.apogeeKm)} &times; ${formatKm(release.perigeeKm)}`;
+        const reentry = release.reenters ? ' <span style="color:#fa4">REENTRY</span>' : '';
+        summary = `${apsides}<span class="unit"> km</span> ${formatDuration(release.periodS / 3600)}${reentry}`;
+      }
+      releaseLine = `<div><span class="label">REL </span><span class="value">${summary}</span></div>`;
+    }
+
     // Mag boots prompt (desktop only — no G key on mobile)
     let bootsLine = '';
     if (!quality.isMobile && controller) {
@@ -118,11 +138,13 @@ export class HUD {
       <div><span class="label">SPD </span><span class="value">${formatSpeed(effectiveSpeed)}</span>${timeLabel}</div>
       <div><span class="label">DIR </span><span class="value" style="color:${dirColor}">${dirLabel}</span></div>
       <div><span class="label">G   </span><span class="value" style="color:${gColor}">${gArrow} ${gEff.toFixed(3)}</span><span class="unit"> g</span></div>
+      ${latLine}
       <div><span class="label">SIM </span><span class="value">${simTime}</span></div>
       ${waitLine}
       ${etaGeo ? `<div><span class="label">ETA GEO </span><span class="value">${etaGeo}</span></div>` : ''}
       ${etaTop ? `<div><span class="label">ETA TOP </span><span class="value">${etaTop}</span></div>` : ''}
       ${etaGround ? `<div><span class="label">ETA GND </span><span class="value">${etaGround}</span></div>` : ''}
+      ${releaseLine}
       ${bootsLine}
     `;
   }
@@ -131,20 +153,23 @@ export class HUD {
 function formatSpeed(kmh) {
   if (kmh >= 1000000) return `${(kmh / 1000000).toFixed(1)}M km/h`;
   if (kmh >= 1000) return `${(kmh / 1000).toFixed(0)}K km/h`;
-  return `${kmh} km/h`;
+  return `${kmh.toFixed(0)} km/h`;
 }
 
-function formatSimTime(totalSeconds) {
-  const days = Math.floor(totalSeconds / 86400);
-  const hours = Math.floor((totalSeconds % 86400) / 3600);
+function formatKm(km) {
+  return km.toFixed(0).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+// Local mean date plus sundial time (hour angle 0 = 12:00), e.g. "2026-06-21 12:04:31"
+function formatSimTime(dateMs) {
+  const date = new Date(dateMs + getAnchorLonOffsetSeconds() * 1000).toISOString().slice(0, 10);
+  const totalSeconds = getApparentSolarSeconds(dateMs, getAnchor().lonRad);
+  const hours = Math.floor(totalSeconds / 3600);
   const minutes = Math.floor((totalSeconds % 3600) / 60);
   const secs = Math.floor(totalSeconds % 60);
 
   const pad = (n) => String(n).padStart(2, '0');
-  if (days > 0) {
-    return `${days}d ${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
-  }
-  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
+  return `${date} ${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
 }
 
 function formatDuration(hours) {
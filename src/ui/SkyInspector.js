@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+import { EARTH_RADIUS } from '../constants.js';
+
+const PICK_RADIUS_DEG = 1.0; // crosshair tolerance for stars and planets
+const MAG_PENALTY_DEG = 0.1; // per magnitude, so the eye-catching star wins in crowded fields
+const SUN_PICK_RADIUS_DEG = 2.0; // the glare is much larger than the disc
+const SUN_MAGNITUDE = -26.74;
+const AU_LIGHT_MINUTES = 8.317;
+
+const _forward = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _inverse = new THREE.Matrix4();
+
+/**
+ * Info card for whatever sits under the crosshair while the sky guide is on:
+ * a catalog star, a planet or the sun. Works in the star catalog's frame so
+ * thousands of stars can be tested with one dot product each.
+ */
+export class SkyInspector {
+  constructor() {
+    this.el = document.getElementById('sky-inspector');
+    this.enabled = false;
+    this.lastUpdate = 0;
+    this.targetKey = null;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.hide();
+  }
+
+  hide() {
+    this.el.style.display = 'none';
+    this.targetKey = null;
+  }
+
+  /**
+   * @param {THREE.Camera} camera
+   * @param {THREE.Object3D} frame - star catalog frame (Stars.frame)
+   * @param {object|null} catalog - Stars.catalog
+   * @param {Array} planets - Planets.positions (RA/dec, magnitude, distance)
+   * @param {{rightAscension: number, declination: number, distanceAu: number}} solar
+   * @param {number} altitudeKm
+   */
+  update(camera, frame, catalog, planets, solar, altitudeKm) {
+    if (!this.enabled) return;
+    const now = performance.now();
+    if (now - this.lastUpdate < 100) return; // throttle to 10 fps
+    this.lastUpdate = now;
+
+    camera.getWorldDirection(_forward);
+    // Looking into the Earth: nothing in the sky to inspect
+    const cosEarth = Math.cos(Math.asin(EARTH_RADIUS / (EARTH_RADIUS + altitudeKm)));
+    if (-_forward.y > cosEarth) {
+      this.hide();
+      return;
+    }
+
+    // Crosshair direction in catalog coordinates (x → RA 0h, y → north, z → RA 18h)
+    frame.updateWorldMatrix(true, false);
+    _inverse.copy(frame.matrixWorld).invert();
+    _local.copy(_forward).transformDirection(_inverse);
+
+    const target = this._pickSun(solar)
+      || this._pickPlanet(planets)
+      || this._pickStar(catalog);
+    if (!target) {
+      this.hide();
+      return;
+    }
+    if (target.key !== this.targetKey) {
+      this.targetKey = target.key;
+      this.el.innerHTML = renderCard(target);
+    }
+    this.el.style.display = 'block';
+  }
+
+  _pickSun(solar) {
+    if (angleTo(solar.rightAscension, solar.declination) > SUN_PICK_RADIUS_DEG) return null;
+    return {
+      key: 'sun',
+      title: 'Sun',
+      rows: [
+        ['MAG', SUN_MAGNITUDE.toFixed(2)],
+        ['DIST', `${solar.distanceAu.toFixed(4)} AU (${(solar.distanceAu * AU_LIGHT_MINUTES).toFixed(1)} light-min)`],
+        ['CLASS', 'G2V'],
+      ],
+    };
+  }
+
+  _pickPlanet(planets) {
+    let best = null;
+    let bestAngle = PICK_RADIUS_DEG;
+    for (const p of planets) {
+      const angle = angleTo(p.rightAscension, p.declination);
+      if (angle < bestAngle) {
+        bestAngle = angle;
+        best = p;
+      }
+    }
+    if (!best) return null;
+    return {
+      key: best.key,
+      title: best.name,
+      subtitle: 'Planet',
+      rows: [
+        ['MAG', best.magnitude.toFixed(1)],
+        ['DIST', `${best.distanceAu.toFixed(2)} AU (${(best.distanceAu * AU_LIGHT_MINUTES).toFixed(0)} light-min)`],
+      ],
+    };
+  }
+
+  _pickStar(catalog) {
+    if (!catalog) return null;
+    const { positions, magnitudes, info, constellations, count, magLimit } = catalog;
+    const cosPick = Math.cos(PICK_RADIUS_DEG * THREE.MathUtils.DEG2RAD);
+    let best = -1;
+    let bestScore = Infinity;
+    for (let i = 0; i < count; i++) {
+      const x = positions[i * 3];
+      const y = positions[i * 3 + 1];
+      const z = positions[i * 3 + 2];
+      const dot = (_local.x * x + _local.y * y + _local.z * z) / Math.sqrt(x * x + y * y + z * z);
+      if (dot < cosPick || magnitudes[i] > magLimit) continue; // hidden deep tiers
+      const mag = Number.isFinite(magnitudes[i]) ? magnitudes[i] : 0;
+      const score = Math.acos(Math.min(1, dot)) * THREE.MathUtils.RAD2DEG + MAG_PENALTY_DEG * mag;
+      if (score < bestScore) {
+        bestScore = score;
+        best = i;
+      }
+    }
+    if (best < 0) return null;
+
+    const [name, designation, con, spect, distLy] = info[best] || [];
+    const conName = constellations.find((c) => c.code === con)?.name;
+    const rows = [];
+    if (Number.isFinite(magnitudes[best])) rows.push(['MAG', magnitudes[best].toFixed(2)]);
+    if (distLy) rows.push(['DIST', `${distLy.toLocaleString()} ly`]);
+    if (spect) rows.push(['CLASS', spect]);
+    return {
+      key: `star-${best}`,
+      title: name || designation || 'Star',
+      subtitle: [name ? designation : '', conName].filter(Boolean).join(' · '),
+      rows,
+    };
+  }
+}
+
+// Angle (degrees) between the crosshair and an equatorial direction
+function angleTo(rightAscension, declination) {
+  const cosDec = Math.cos(declination);
+  const dot = _local.x * cosDec * Math.cos(rightAscension)
+    + _local.y * Math.sin(declination)
+    - _local.z * cosDec * Math.sin(rightAscension);
+  return Math.acos(Math.min(1, dot)) * THREE.MathUtils.RAD2DEG;
+}
+
+function renderCard({ title, subtitle, rows }) {
+  return `
+    <div class="title">${title}</div>
+    ${subtitle ? `<div class="subtitle">${subtitle}</div>` : ''}
+    ${rows.map(([label, value]) => `<div><span class="label">${label.padEnd(6)}</span><span class="value">${value}</span></div>`).join('')}
+  `;
+}
@@ -0,0 +1,179 @@
+import { TETHER_MATERIALS, DEFAULT_TETHER_DESIGN, computeTetherProfile, sampleTetherProfile } from '../simulation/tether.js';
+import { GEO_ALTITUDE } from '../constants.js';
+
+const TAPER_COLOR = '#4af';
+const SAFETY_COLOR = '#fa4';
+
+export class TetherPanel {
+  constructor() {
+    this.el = document.getElementById('tether-panel');
+    this.visible = false;
+    this.onChange = null;
+    this.lastUpdate = 0;
+    this.design = { ...DEFAULT_TETHER_DESIGN };
+    this.profile = computeTetherProfile(this.design);
+
+    this.chart = document.getElementById('tether-chart');
+    this.ctx = this.chart.getContext('2d');
+
+    // Material presets
+    const materialSelect = document.getElementById('tether-material');
+    for (const [key, mat] of Object.entries(TETHER_MATERIALS)) {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = `${mat.name} (${mat.strengthGPa} GPa)`;
+      materialSelect.appendChild(opt);
+    }
+    materialSelect.value = this.design.material;
+    materialSelect.addEventListener('change', () => {
+      this.design.material = materialSelect.value;
+      this.recompute();
+    });
+
+    // Safety factor slider
+    const sfSlider = document.getElementById('tether-sf');
+    sfSlider.addEventListener('input', () => {
+      this.design.safetyFactor = parseFloat(sfSlider.value);
+      document.getElementById('tether-sf-val').textContent = this.design.safetyFactor.toFixed(1);
+      this.recompute();
+    });
+
+    // Counterweight mass slider (relative to the ideal mass for this design)
+    const cwSlider = document.getElementById('tether-cw');
+    cwSlider.addEventListener('input', () => {
+      this.design.counterweightRatio = parseFloat(cwSlider.value);
+      document.getElementById('tether-cw-val').textContent = this.design.counterweightRatio.toFixed(2);
+      this.recompute();
+    });
+
+    this.renderSummary();
+  }
+
+  recompute() {
+    this.profile = computeTetherProfile(this.design);
+    this.renderSummary();
+    this.lastUpdate = 0; // redraw chart on next update
+    if (this.onChange) this.onChange(this.profile);
+  }
+
+  renderSummary() {
+    const p = this.profile;
+    const status = p.anchored
+      ? (p.minSafetyFactor < 1 ? '<span style="color:#f44">CABLE SNAPS</span>' : '<span style="color:#4f4">HOLDS</span>')
+      : '<span style="color:#f44">SLACK &mdash; counterweight too light</span>';
+    document.getElementById('tether-summary').innerHTML = `
+      <div><span class="label">TAPER </span><span class="value">${formatLog10(p.taperRatioLog10)}&times;</span><span class="label"> at ${Math.round(p.peakAltitudeKm).toLocaleString()} km</span></div>
+      <div><span class="label">BASE  </span><span class="value">${p.baseAreaMm2.toFixed(1)} mm&sup2;</span><span class="label"> / ${(p.baseTensionN / 1000).toFixed(0)} kN</span></div>
+      <div><span class="label">CWT   </span><span class="value">${formatLog10(p.counterweightLog10Kg - 3)} t</span></div>
+      <div><span class="label">MIN SF </span><span class="value">${formatSafety(p.minSafetyFactor)}</span> ${status}</div>
+    `;
+  }
+
+  toggle() {
+    if (this.visible) this.hide(); else this.show();
+  }
+
+  show() {
+    this.visible = true;
+    this.el.style.display = 'block';
+    this.lastUpdate = 0;
+  }
+
+  hide() {
+    this.visible = false;
+    this.el.style.display = 'none';
+  }
+
+  update(altitudeKm) {
+    if (!this.visible) return;
+    const now = performance.now();
+    if (now - this.lastUpdate < 100) return; // throttle to 10 fps
+    this.lastUpdate = now;
+
+    this.drawChart(altitudeKm);
+
+    const here = sampleTetherProfile(this.profile, altitudeKm);
+    const tension = Number.isFinite(here.log10Tension) ? `${formatLog10(here.log10Tension - 3)} kN` : 'slack';
+    document.getElementById('tether-live').innerHTML = `
+      <div><span class="label">HERE  </span><span class="value">${formatLog10(here.log10Taper)}&times;</span><span class="label"> area, </span><span class="value">${tension}</span><span class="label">, SF </span><span class="value">${formatSafety(here.safetyFactor)}</span></div>
+    `;
+  }
+
+  drawChart(altitudeKm) {
+    const { ctx, chart } = this;
+    const p = this.profile;
+    const w = chart.width;
+    const h = chart.height;
+    const n = p.altitudes.length - 1;
+    const xAt = (alt) => (alt / p.cableLengthKm) * w;
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(10, 20, 30, 0.8)';
+    ctx.fillRect(0, 0, w, h);
+
+    // GEO marker
+    ctx.strokeStyle = '#1a3a5c';
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(xAt(GEO_ALTITUDE), 0);
+    ctx.lineTo(xAt(GEO_ALTITUDE), h);
+    ctx.stroke();
+
+    // Safety factor, scaled so the design value sits at mid-height; SF = 1 is failure
+    const sfMax = p.safetyFactor * 2;
+    const sfY = (sf) => h - (Math.min(sf, sfMax) / sfMax) * h;
+    ctx.strokeStyle = '#f44';
+    ctx.beginPath();
+    ctx.moveTo(0, sfY(1));
+    ctx.lineTo(w, sfY(1));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Taper (log area ratio), normalized to the peak
+    const taperMax = Math.max(p.taperRatioLog10, 1e-6);
+    ctx.strokeStyle = TAPER_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let i = 0; i <= n; i++) {
+      const y = h - 4 - (p.log10Taper[i] / taperMax) * (h - 8);
+      if (i === 0) ctx.moveTo(xAt(p.altitudes[i]), y); else ctx.lineTo(xAt(p.altitudes[i]), y);
+    }
+    ctx.stroke();
+
+    ctx.strokeStyle = SAFETY_COLOR;
+    ctx.beginPath();
+    for (let i = 0; i <= n; i++) {
+      const y = sfY(p.safety[i]);
+      if (i === 0) ctx.moveTo(xAt(p.altitudes[i]), y); else ctx.lineTo(xAt(p.altitudes[i]), y);
+    }
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    // Current altitude
+    ctx.strokeStyle = '#fff';
+    ctx.beginPath();
+    ctx.moveTo(xAt(altitudeKm), 0);
+    ctx.lineTo(xAt(altitudeKm), h);
+    ctx.stroke();
+
+    ctx.font = '10px "Courier New", monospace';
+    ctx.fillStyle = TAPER_COLOR;
+    ctx.fillText('TAPER', 4, 12);
+    ctx.fillStyle = SAFETY_COLOR;
+    ctx.fillText('SAFETY FACTOR', 48, 12);
+    ctx.fillStyle = '#888';
+    ctx.fillText('GEO', xAt(GEO_ALTITUDE) + 3, h - 4);
+  }
+}
+
+// Format a base-10 log as a plain number while it is readable, scientific beyond
+function formatLog10(log10) {
+  if (log10 < 6) return Number(10 ** log10).toLocaleString(undefined, { maximumSignificantDigits: 3 });
+  const exp = Math.floor(log10);
+  const mantissa = 10 ** (log10 - exp);
+  return `${mantissa.toFixed(1)}&times;10<sup>${exp}</sup>`;
+}
+
+function formatSafety(sf) {
+  return Number.isFinite(sf) ? sf.toFixed(2) : '&infin;';
+}